@@ -0,0 +1,147 @@
+// Bulk encryption for PromptCat. Uses the same envelopes as CryptoService in
+// promptcat.js: { v, kdf, ct, iv, salt }, where envelopes without a version
+// were made with the legacy KDF. Messages look like
+// { id, op: "encrypt" | "decrypt", items, password, version, kdf, legacyKdf,
+// maxIterations } and get a "progress" reply per item, then "done" with the
+// results in the same order.
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const keys = new Map();
+const salts = new Map();
+
+function base64ToArrayBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+function arrayBufferToBase64(buffer) {
+  let binary = "";
+  const bytes = new Uint8Array(buffer);
+  for (let i = 0; i < bytes.byteLength; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function deriveKey(password, salt, kdf) {
+  const cacheKey = [
+    kdf.name,
+    kdf.hash,
+    kdf.iterations,
+    arrayBufferToBase64(salt),
+    password,
+  ].join("\n");
+  if (!keys.has(cacheKey)) {
+    const key = crypto.subtle
+      .importKey("raw", encoder.encode(password), { name: "PBKDF2" }, false, [
+        "deriveKey",
+      ])
+      .then((keyMaterial) =>
+        crypto.subtle.deriveKey(
+          {
+            name: kdf.name,
+            salt: salt,
+            iterations: kdf.iterations,
+            hash: kdf.hash,
+          },
+          keyMaterial,
+          { name: "AES-GCM", length: 256 },
+          false,
+          ["encrypt", "decrypt"]
+        )
+      );
+    key.catch(() => keys.delete(cacheKey));
+    keys.set(cacheKey, key);
+  }
+  return keys.get(cacheKey);
+}
+
+function getSalt(password, kdf) {
+  const cacheKey = `${kdf.iterations}\n${password}`;
+  if (!salts.has(cacheKey)) {
+    salts.set(cacheKey, crypto.getRandomValues(new Uint8Array(16)));
+  }
+  return salts.get(cacheKey);
+}
+
+async function encrypt(text, { password, version, kdf }) {
+  if (!text) return text;
+  try {
+    const salt = getSalt(password, kdf);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(password, salt, kdf);
+    const encryptedContent = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv: iv },
+      key,
+      encoder.encode(text)
+    );
+    return {
+      v: version,
+      kdf,
+      ct: arrayBufferToBase64(encryptedContent),
+      iv: arrayBufferToBase64(iv),
+      salt: arrayBufferToBase64(salt),
+    };
+  } catch (e) {
+    console.error("Encryption failed", e);
+    return text;
+  }
+}
+
+// Only the KDF CryptoService writes is accepted from an envelope.
+function getKdf(encryptedData, legacyKdf, maxIterations) {
+  if (!encryptedData.v) return legacyKdf;
+  const kdf = encryptedData.kdf || {};
+  if (
+    kdf.name !== "PBKDF2" ||
+    kdf.hash !== "SHA-256" ||
+    !Number.isInteger(kdf.iterations) ||
+    kdf.iterations < 1 ||
+    kdf.iterations > maxIterations
+  ) {
+    throw new Error("Unsupported key derivation parameters");
+  }
+  return { name: kdf.name, hash: kdf.hash, iterations: kdf.iterations };
+}
+
+async function decrypt(encryptedData, { password, legacyKdf, maxIterations }) {
+  if (typeof encryptedData !== "object" || !encryptedData?.ct) {
+    return encryptedData;
+  }
+  try {
+    const key = await deriveKey(
+      password,
+      base64ToArrayBuffer(encryptedData.salt),
+      getKdf(encryptedData, legacyKdf, maxIterations)
+    );
+    const decryptedContent = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: base64ToArrayBuffer(encryptedData.iv) },
+      key,
+      base64ToArrayBuffer(encryptedData.ct)
+    );
+    return decoder.decode(decryptedContent);
+  } catch (e) {
+    return null;
+  }
+}
+
+self.onmessage = async ({ data }) => {
+  const { id, op, items } = data;
+  try {
+    const run = op === "encrypt" ? encrypt : decrypt;
+    const results = await Promise.all(
+      items.map(async (item) => {
+        const result = await run(item, data);
+        self.postMessage({ id, type: "progress" });
+        return result;
+      })
+    );
+    self.postMessage({ id, type: "done", results });
+  } catch (e) {
+    self.postMessage({ id, type: "error", message: e.message });
+  }
+};
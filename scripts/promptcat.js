@@ -2,6 +2,18 @@ document.addEventListener("DOMContentLoaded", () => {
   const CryptoService = {
     encoder: new TextEncoder(),
     decoder: new TextDecoder(),
+    envelopeVersion: 2,
+    // Envelopes without a version were always made with these parameters.
+    legacyKdf: { name: "PBKDF2", hash: "SHA-256", iterations: 100000 },
+    iterations: 100000, // for new encryptions; see the encryption setting
+    // Envelopes are read from imports too, so their KDF is checked against
+    // what PromptCat itself writes before any key is derived.
+    maxIterations: 1000000,
+    // Derived keys are kept for the session, keyed by KDF, salt and password.
+    // New encryptions reuse one salt per password so that locking a folder
+    // derives a single key; every envelope still gets its own IV.
+    _keys: new Map(),
+    _salts: new Map(),
 
     _base64ToArrayBuffer(base64) {
       const binary_string = window.atob(base64);
@@ -23,7 +35,58 @@ document.addEventListener("DOMContentLoaded", () => {
       return window.btoa(binary);
     },
 
-    async _deriveKey(password, salt) {
+    _getCurrentKdf() {
+      return { name: "PBKDF2", hash: "SHA-256", iterations: this.iterations };
+    },
+
+    _getKdf(encryptedData) {
+      if (!encryptedData.v) return this.legacyKdf;
+      const kdf = encryptedData.kdf || {};
+      if (
+        kdf.name !== "PBKDF2" ||
+        kdf.hash !== "SHA-256" ||
+        !Number.isInteger(kdf.iterations) ||
+        kdf.iterations < 1 ||
+        kdf.iterations > this.maxIterations
+      ) {
+        throw new Error("Unsupported key derivation parameters");
+      }
+      return { name: kdf.name, hash: kdf.hash, iterations: kdf.iterations };
+    },
+
+    // Whether an envelope was made with an older format or a weaker KDF than
+    // new encryptions use.
+    needsUpgrade(encryptedData) {
+      if (!encryptedData || typeof encryptedData !== "object") return false;
+      if (!encryptedData.ct) return false;
+      try {
+        return (
+          (encryptedData.v || 1) < this.envelopeVersion ||
+          this._getKdf(encryptedData).iterations < this.iterations
+        );
+      } catch (e) {
+        return false; // can't be decrypted, so can't be re-wrapped either
+      }
+    },
+
+    _deriveKey(password, salt, kdf) {
+      const cacheKey = [
+        kdf.name,
+        kdf.hash,
+        kdf.iterations,
+        this._arrayBufferToBase64(salt),
+        password,
+      ].join("\n");
+      if (!this._keys.has(cacheKey)) {
+        const key = this._deriveNewKey(password, salt, kdf);
+        // A failed derivation must not stay cached.
+        key.catch(() => this._keys.delete(cacheKey));
+        this._keys.set(cacheKey, key);
+      }
+      return this._keys.get(cacheKey);
+    },
+
+    async _deriveNewKey(password, salt, kdf) {
       const keyMaterial = await window.crypto.subtle.importKey(
         "raw",
         this.encoder.encode(password),
@@ -32,20 +95,44 @@ document.addEventListener("DOMContentLoaded", () => {
         ["deriveKey"]
       );
       return window.crypto.subtle.deriveKey(
-        { name: "PBKDF2", salt: salt, iterations: 100000, hash: "SHA-256" },
+        {
+          name: kdf.name,
+          salt: salt,
+          iterations: kdf.iterations,
+          hash: kdf.hash,
+        },
         keyMaterial,
         { name: "AES-GCM", length: 256 },
-        true,
+        false,
         ["encrypt", "decrypt"]
       );
     },
 
+    _getSalt(password, kdf) {
+      const cacheKey = `${kdf.iterations}\n${password}`;
+      if (!this._salts.has(cacheKey)) {
+        this._salts.set(
+          cacheKey,
+          window.crypto.getRandomValues(new Uint8Array(16))
+        );
+      }
+      return this._salts.get(cacheKey);
+    },
+
+    // Forgets every derived key and password, here and in the workers.
+    clearKeys() {
+      this._keys.clear();
+      this._salts.clear();
+      CryptoWorkers.terminate();
+    },
+
     async encrypt(text, password) {
       if (!text || !password) return text;
       try {
-        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const kdf = this._getCurrentKdf();
+        const salt = this._getSalt(password, kdf);
         const iv = window.crypto.getRandomValues(new Uint8Array(12));
-        const key = await this._deriveKey(password, salt);
+        const key = await this._deriveKey(password, salt, kdf);
 
         const encryptedContent = await window.crypto.subtle.encrypt(
           { name: "AES-GCM", iv: iv },
@@ -54,6 +141,8 @@ document.addEventListener("DOMContentLoaded", () => {
         );
 
         return {
+          v: this.envelopeVersion,
+          kdf,
           ct: this._arrayBufferToBase64(encryptedContent),
           iv: this._arrayBufferToBase64(iv),
           salt: this._arrayBufferToBase64(salt),
@@ -70,7 +159,11 @@ document.addEventListener("DOMContentLoaded", () => {
       try {
         const salt = this._base64ToArrayBuffer(encryptedData.salt);
         const iv = this._base64ToArrayBuffer(encryptedData.iv);
-        const key = await this._deriveKey(password, salt);
+        const key = await this._deriveKey(
+          password,
+          salt,
+          this._getKdf(encryptedData)
+        );
 
         const decryptedContent = await window.crypto.subtle.decrypt(
           { name: "AES-GCM", iv: iv },
@@ -84,11 +177,219 @@ document.addEventListener("DOMContentLoaded", () => {
         return null; // Return null on failure (e.g., wrong password)
       }
     },
+
+    // Bulk versions of encrypt and decrypt. They run in parallel in the
+    // crypto workers when those are available, and call
+    // onProgress(done, total) as items finish.
+    encryptMany(texts, password, onProgress) {
+      return this._runMany("encrypt", texts, password, onProgress);
+    },
+
+    decryptMany(values, password, onProgress) {
+      return this._runMany("decrypt", values, password, onProgress);
+    },
+
+    async _runMany(op, items, password, onProgress = () => {}) {
+      if (!password || items.length === 0) return [...items];
+      try {
+        const results = await CryptoWorkers.run(
+          {
+            op,
+            items,
+            password,
+            version: this.envelopeVersion,
+            kdf: this._getCurrentKdf(),
+            legacyKdf: this.legacyKdf,
+            maxIterations: this.maxIterations,
+          },
+          onProgress
+        );
+        if (results) return results;
+      } catch (e) {
+        // Keys were cleared mid-job (e.g. on auto-lock): don't go on here.
+        if (e.stopped) throw e;
+        console.warn("Crypto workers failed, continuing without them", e);
+      }
+      let done = 0;
+      return Promise.all(
+        items.map(async (item) => {
+          const result = await this[op](item, password);
+          onProgress(++done, items.length);
+          return result;
+        })
+      );
+    },
+
+    // Vault mode derives its keys once per unlock: an AES-GCM key for the
+    // records and an HMAC key for the record keys that must stay lookups.
+    async deriveVaultKeys(password, salt, iterations) {
+      const keyMaterial = await window.crypto.subtle.importKey(
+        "raw",
+        this.encoder.encode(password),
+        { name: "PBKDF2" },
+        false,
+        ["deriveBits"]
+      );
+      const bits = await window.crypto.subtle.deriveBits(
+        {
+          name: "PBKDF2",
+          salt: salt,
+          iterations: iterations,
+          hash: "SHA-256",
+        },
+        keyMaterial,
+        512
+      );
+      const encryptionKey = await window.crypto.subtle.importKey(
+        "raw",
+        bits.slice(0, 32),
+        { name: "AES-GCM" },
+        false,
+        ["encrypt", "decrypt"]
+      );
+      const hmacKey = await window.crypto.subtle.importKey(
+        "raw",
+        bits.slice(32),
+        { name: "HMAC", hash: "SHA-256" },
+        false,
+        ["sign"]
+      );
+      return { encryptionKey, hmacKey };
+    },
+
+    async encryptWithKey(text, key) {
+      const iv = window.crypto.getRandomValues(new Uint8Array(12));
+      const encryptedContent = await window.crypto.subtle.encrypt(
+        { name: "AES-GCM", iv: iv },
+        key,
+        this.encoder.encode(text)
+      );
+      return {
+        ct: this._arrayBufferToBase64(encryptedContent),
+        iv: this._arrayBufferToBase64(iv),
+      };
+    },
+
+    async decryptWithKey(encryptedData, key) {
+      try {
+        const decryptedContent = await window.crypto.subtle.decrypt(
+          { name: "AES-GCM", iv: this._base64ToArrayBuffer(encryptedData.iv) },
+          key,
+          this._base64ToArrayBuffer(encryptedData.ct)
+        );
+        return this.decoder.decode(decryptedContent);
+      } catch (e) {
+        return null;
+      }
+    },
+
+    async hmac(text, key) {
+      const signature = await window.crypto.subtle.sign(
+        "HMAC",
+        key,
+        this.encoder.encode(text)
+      );
+      return this._arrayBufferToBase64(signature);
+    },
   };
 
+  // A small pool of workers (scripts/crypto-worker.js) for bulk encryption.
+  // run() splits the items between them and resolves null when workers can't
+  // be used here, so callers fall back to the main thread.
+  const CryptoWorkers = (function () {
+    const WORKER_URL = "scripts/crypto-worker.js";
+    const MAX_WORKERS = 4;
+    let workers = null;
+    let isUnavailable = typeof Worker === "undefined";
+    let nextJobId = 1;
+    const jobs = new Map(); // job id -> { resolve, reject, onProgress }
+
+    function handleMessage({ data }) {
+      const job = jobs.get(data.id);
+      if (!job) return;
+      if (data.type === "progress") {
+        job.onProgress();
+      } else {
+        jobs.delete(data.id);
+        if (data.type === "done") job.resolve(data.results);
+        else job.reject(new Error(data.message));
+      }
+    }
+
+    function handleError(e) {
+      e.preventDefault?.();
+      isUnavailable = true;
+      terminate(new Error("The crypto worker could not run"));
+    }
+
+    function getWorkers() {
+      if (!workers) {
+        const count = Math.min(navigator.hardwareConcurrency || 2, MAX_WORKERS);
+        workers = Array.from({ length: count }, () => {
+          const worker = new Worker(WORKER_URL);
+          worker.onmessage = handleMessage;
+          worker.onerror = handleError;
+          return worker;
+        });
+      }
+      return workers;
+    }
+
+    function runOn(worker, message, onProgress) {
+      const id = nextJobId++;
+      return new Promise((resolve, reject) => {
+        jobs.set(id, { resolve, reject, onProgress });
+        worker.postMessage({ ...message, id });
+      });
+    }
+
+    async function run(message, onProgress) {
+      if (isUnavailable) return null;
+      let pool;
+      try {
+        pool = getWorkers();
+      } catch (e) {
+        isUnavailable = true;
+        return null;
+      }
+      const { items } = message;
+      const chunkSize = Math.ceil(items.length / pool.length);
+      let done = 0;
+      const chunks = await Promise.all(
+        pool
+          .map((worker, i) => ({
+            worker,
+            chunk: items.slice(i * chunkSize, (i + 1) * chunkSize),
+          }))
+          .filter(({ chunk }) => chunk.length > 0)
+          .map(({ worker, chunk }) =>
+            runOn(worker, { ...message, items: chunk }, () =>
+              onProgress(++done, items.length)
+            )
+          )
+      );
+      return chunks.flat();
+    }
+
+    // Stops the workers, dropping the keys they derived. New ones are started
+    // on the next run. Jobs still running are rejected with `reason`, which
+    // is marked `stopped` unless the workers failed.
+    function terminate(
+      reason = Object.assign(new Error("The crypto workers were stopped"), {
+        stopped: true,
+      })
+    ) {
+      (workers || []).forEach((worker) => worker.terminate());
+      workers = null;
+      jobs.forEach((job) => job.reject(reason));
+      jobs.clear();
+    }
+
+    return { run, terminate };
+  })();
+
   const DB = (function () {
     const DB_NAME = "PromptCatDB";
-    const DB_VERSION = 2;
     let db;
 
     const STORES = {
@@ -96,8 +397,110 @@ document.addEventListener("DOMContentLoaded", () => {
       FOLDERS: "folders",
       TAGS: "globalTags",
       SETTINGS: "settings",
+      REVISIONS: "revisions",
+      SEARCH_INDEX: "searchIndex",
+      TRASH: "trash",
+      DRAFTS: "drafts",
     };
 
+    // Ordered schema migrations: MIGRATIONS[i] brings a database (or backup)
+    // to version i + 1. Only ever append to this list. `upgrade` changes
+    // stores and indexes; `upgradePrompt` rewrites each prompt and is also
+    // applied to prompts imported from older backups.
+    const MIGRATIONS = [
+      {
+        upgrade: (db) => {
+          [STORES.PROMPTS, STORES.FOLDERS, STORES.TAGS].forEach((name) => {
+            if (!db.objectStoreNames.contains(name)) {
+              db.createObjectStore(name, { keyPath: "id" });
+            }
+          });
+        },
+      },
+      {
+        upgrade: (db) => {
+          if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
+            db.createObjectStore(STORES.SETTINGS, { keyPath: "key" });
+          }
+        },
+      },
+      {
+        upgrade: (db) => {
+          if (!db.objectStoreNames.contains(STORES.REVISIONS)) {
+            const revisions = db.createObjectStore(STORES.REVISIONS, {
+              keyPath: "id",
+              autoIncrement: true,
+            });
+            revisions.createIndex("promptId", "promptId", { unique: false });
+          }
+        },
+      },
+      {
+        upgrade: (db) => {
+          if (!db.objectStoreNames.contains(STORES.SEARCH_INDEX)) {
+            db.createObjectStore(STORES.SEARCH_INDEX, { keyPath: "promptId" });
+          }
+        },
+      },
+      {
+        // Booleans are not valid IndexedDB keys, so favorites become 0 or 1
+        // to be indexable.
+        upgrade: (db, transaction) => {
+          const prompts = transaction.objectStore(STORES.PROMPTS);
+          prompts.createIndex("folderId", "folderId", { unique: false });
+          prompts.createIndex("tags", "tags", {
+            unique: false,
+            multiEntry: true,
+          });
+          prompts.createIndex("dateCreated", "dateCreated", { unique: false });
+          prompts.createIndex("dateModified", "dateModified", {
+            unique: false,
+          });
+          prompts.createIndex("isFavorite", "isFavorite", { unique: false });
+        },
+        upgradePrompt: (prompt) => ({
+          ...prompt,
+          isFavorite: prompt.isFavorite ? 1 : 0,
+        }),
+      },
+      {
+        upgrade: (db) => {
+          if (!db.objectStoreNames.contains(STORES.TRASH)) {
+            db.createObjectStore(STORES.TRASH, { keyPath: "id" });
+          }
+        },
+      },
+      {
+        upgrade: (db) => {
+          if (!db.objectStoreNames.contains(STORES.DRAFTS)) {
+            db.createObjectStore(STORES.DRAFTS, { keyPath: "promptId" });
+          }
+        },
+      },
+      {
+        // Favorites and date sorts are read from the loaded prompts, so
+        // nothing queries these.
+        upgrade: (db, transaction) => {
+          const prompts = transaction.objectStore(STORES.PROMPTS);
+          ["dateCreated", "dateModified", "isFavorite"].forEach((name) => {
+            if (prompts.indexNames.contains(name)) prompts.deleteIndex(name);
+          });
+        },
+      },
+    ];
+    const DB_VERSION = MIGRATIONS.length;
+
+    // Applies the record changes of every migration after `fromVersion`.
+    function upgradePrompt(prompt, fromVersion) {
+      return MIGRATIONS.slice(fromVersion).reduce(
+        (upgraded, migration) =>
+          migration.upgradePrompt
+            ? migration.upgradePrompt(upgraded)
+            : upgraded,
+        prompt
+      );
+    }
+
     function open() {
       return new Promise((resolve, reject) => {
         const request = indexedDB.open(DB_NAME, DB_VERSION);
@@ -108,35 +511,163 @@ document.addEventListener("DOMContentLoaded", () => {
         };
         request.onupgradeneeded = (event) => {
           db = event.target.result;
-          if (!db.objectStoreNames.contains(STORES.PROMPTS)) {
-            db.createObjectStore(STORES.PROMPTS, { keyPath: "id" });
-          }
-          if (!db.objectStoreNames.contains(STORES.FOLDERS)) {
-            db.createObjectStore(STORES.FOLDERS, { keyPath: "id" });
-          }
-          if (!db.objectStoreNames.contains(STORES.TAGS)) {
-            db.createObjectStore(STORES.TAGS, { keyPath: "id" });
-          }
-          if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
-            db.createObjectStore(STORES.SETTINGS, { keyPath: "key" });
-          }
+          const transaction = event.target.transaction;
+          const fromVersion = event.oldVersion;
+          MIGRATIONS.slice(fromVersion).forEach((migration) =>
+            migration.upgrade(db, transaction)
+          );
+          if (fromVersion === 0) return;
+
+          // Rewrite existing prompts in one pass for all pending migrations.
+          const needsRewrite = MIGRATIONS.slice(fromVersion).some(
+            (migration) => migration.upgradePrompt
+          );
+          if (!needsRewrite) return;
+          transaction.objectStore(STORES.PROMPTS).openCursor().onsuccess = (
+            e
+          ) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            cursor.update(upgradePrompt(cursor.value, fromVersion));
+            cursor.continue();
+          };
         };
       });
     }
 
-    function get(storeName, key) {
-      return new Promise((resolve, reject) => {
+    // Vault mode: while vault keys are set, every record except the settings
+    // needed to unlock the vault is stored as an encrypted `vault` envelope
+    // next to its primary key and the fields listed in VAULT_CLEAR_FIELDS. Tag
+    // names are primary keys themselves, so they are stored as an HMAC of the
+    // name instead.
+    const VAULT_SETTING_KEY = "vault";
+    const VAULT_EXEMPT_SETTINGS = [VAULT_SETTING_KEY, "encryption"];
+    const KEY_PATHS = {
+      [STORES.PROMPTS]: "id",
+      [STORES.FOLDERS]: "id",
+      [STORES.TAGS]: "id",
+      [STORES.SETTINGS]: "key",
+      [STORES.REVISIONS]: "id",
+      [STORES.SEARCH_INDEX]: "promptId",
+      [STORES.TRASH]: "id",
+      [STORES.DRAFTS]: "promptId",
+    };
+    const VAULT_CLEAR_FIELDS = { [STORES.REVISIONS]: ["promptId"] };
+    let vaultKeys = null;
+
+    function setVaultKeys(keys) {
+      vaultKeys = keys;
+    }
+
+    function isVaultExempt(storeName, key) {
+      return (
+        storeName === STORES.SETTINGS && VAULT_EXEMPT_SETTINGS.includes(key)
+      );
+    }
+
+    async function toStoredKey(storeName, key, keys = vaultKeys) {
+      if (!keys || storeName !== STORES.TAGS) return key;
+      return CryptoService.hmac(String(key), keys.hmacKey);
+    }
+
+    async function encode(storeName, item, keys = vaultKeys) {
+      const keyPath = KEY_PATHS[storeName];
+      if (!keys || isVaultExempt(storeName, item[keyPath])) return item;
+      const record = {
+        vault: await CryptoService.encryptWithKey(
+          JSON.stringify(item),
+          keys.encryptionKey
+        ),
+      };
+      if (item[keyPath] !== undefined) {
+        record[keyPath] = await toStoredKey(storeName, item[keyPath], keys);
+      }
+      (VAULT_CLEAR_FIELDS[storeName] || []).forEach((field) => {
+        record[field] = item[field];
+      });
+      return record;
+    }
+
+    async function decode(storeName, record) {
+      if (!record || !record.vault) return record;
+      if (!vaultKeys) throw new Error("The vault is locked");
+      const text = await CryptoService.decryptWithKey(
+        record.vault,
+        vaultKeys.encryptionKey
+      );
+      if (text === null) throw new Error(`Could not decrypt ${storeName}`);
+      const item = JSON.parse(text);
+      // Auto-incremented keys are only assigned once the record is stored.
+      const keyPath = KEY_PATHS[storeName];
+      if (storeName !== STORES.TAGS) item[keyPath] = record[keyPath];
+      return item;
+    }
+
+    function decodeAll(storeName, records) {
+      return Promise.all(records.map((record) => decode(storeName, record)));
+    }
+
+    function hidesIndex(storeName, indexName) {
+      return (
+        !!vaultKeys &&
+        !(VAULT_CLEAR_FIELDS[storeName] || []).includes(indexName)
+      );
+    }
+
+    function isValidKey(key) {
+      try {
+        indexedDB.cmp(key, key);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    }
+
+    // Index reads for vault records, whose indexed fields are encrypted:
+    // filters and sorts the decoded records the way the index would. Index
+    // names match their key paths, and only the tags index is multiEntry.
+    async function queryInMemory(storeName, indexName, range) {
+      const keyPath = KEY_PATHS[storeName];
+      const matches = (key) =>
+        range === null ||
+        range === undefined ||
+        (range instanceof IDBKeyRange
+          ? range.includes(key)
+          : indexedDB.cmp(range, key) === 0);
+      const entries = [];
+      (await getAll(storeName)).forEach((item) => {
+        const value = item[indexName];
+        const keys =
+          indexName === "tags" && Array.isArray(value)
+            ? [...new Set(value)]
+            : [value];
+        keys.forEach((key) => {
+          if (isValidKey(key) && matches(key)) entries.push({ key, item });
+        });
+      });
+      entries.sort(
+        (a, b) =>
+          indexedDB.cmp(a.key, b.key) ||
+          indexedDB.cmp(a.item[keyPath], b.item[keyPath])
+      );
+      return entries.map((entry) => entry.item);
+    }
+
+    async function get(storeName, key) {
+      const storedKey = await toStoredKey(storeName, key);
+      const record = await new Promise((resolve, reject) => {
         const transaction = db.transaction(storeName, "readonly");
         const store = transaction.objectStore(storeName);
-        const request = store.get(key);
+        const request = store.get(storedKey);
         request.onsuccess = (event) => resolve(event.target.result);
         request.onerror = (event) =>
           reject(`Error getting item ${key} from ${storeName}`);
       });
+      return decode(storeName, record);
     }
 
-    function getAll(storeName) {
-      return new Promise((resolve, reject) => {
+    async function getAll(storeName) {
+      const records = await new Promise((resolve, reject) => {
         const transaction = db.transaction(storeName, "readonly");
         const store = transaction.objectStore(storeName);
         const request = store.getAll();
@@ -144,48 +675,222 @@ document.addEventListener("DOMContentLoaded", () => {
         request.onerror = (event) =>
           reject(`Error getting all from ${storeName}`);
       });
+      return decodeAll(storeName, records);
+    }
+
+    async function getAllByIndex(storeName, indexName, key) {
+      if (hidesIndex(storeName, indexName)) {
+        return queryInMemory(storeName, indexName, key);
+      }
+      const records = await new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, "readonly");
+        const index = transaction.objectStore(storeName).index(indexName);
+        const request = index.getAll(key);
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) =>
+          reject(`Error getting ${indexName} ${key} from ${storeName}`);
+      });
+      return decodeAll(storeName, records);
+    }
+
+    function removeByIndex(storeName, indexName, keys) {
+      return new Promise((resolve, reject) => {
+        if (keys.length === 0) return resolve();
+        const transaction = db.transaction(storeName, "readwrite");
+        const index = transaction.objectStore(storeName).index(indexName);
+        keys.forEach((key) => {
+          index.openCursor(IDBKeyRange.only(key)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+              cursor.delete();
+              cursor.continue();
+            }
+          };
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) =>
+          reject(`Error deleting by ${indexName} from ${storeName}`);
+      });
+    }
+
+    // Undo support: while recording, the first write to a record in one of
+    // RECORDED_STORES saves what it held before. stopRecording() returns the
+    // changes as [{ storeName, key, before, after }], with undefined for a
+    // record that does not exist.
+    const RECORDED_STORES = [
+      STORES.PROMPTS,
+      STORES.FOLDERS,
+      STORES.TAGS,
+      STORES.REVISIONS,
+      STORES.TRASH,
+    ];
+    let recording = null;
+
+    function startRecording() {
+      recording = new Map();
+    }
+
+    async function recordBefore(storeName, keys) {
+      if (!recording || !RECORDED_STORES.includes(storeName)) return;
+      for (const key of keys.filter((key) => key !== undefined)) {
+        const id = JSON.stringify([storeName, key]);
+        if (recording.has(id)) continue;
+        const change = { storeName, key };
+        recording.set(id, change);
+        change.before = await get(storeName, key);
+      }
+    }
+
+    // Auto-incremented keys are only known once the record is stored.
+    function recordCreated(storeName, key) {
+      if (!recording || !RECORDED_STORES.includes(storeName)) return;
+      recording.set(JSON.stringify([storeName, key]), {
+        storeName,
+        key,
+        before: undefined,
+      });
+    }
+
+    async function stopRecording() {
+      const changes = [...recording.values()];
+      recording = null;
+      for (const change of changes) {
+        change.after = await get(change.storeName, change.key);
+      }
+      return changes.filter(
+        (change) =>
+          JSON.stringify(change.before) !== JSON.stringify(change.after)
+      );
+    }
+
+    // Writes one side ("before" or "after") of recorded changes in a single
+    // transaction. Returns false without writing anything if a record no
+    // longer holds the other side.
+    async function applyRecorded(changes, side) {
+      const other = side === "before" ? "after" : "before";
+      for (const change of changes) {
+        const current = await get(change.storeName, change.key);
+        if (JSON.stringify(current) !== JSON.stringify(change[other])) {
+          return false;
+        }
+      }
+      const itemsByStore = {};
+      const keysByStore = {};
+      changes.forEach((change) => {
+        const target = change[side] === undefined ? keysByStore : itemsByStore;
+        target[change.storeName] = target[change.storeName] || [];
+        target[change.storeName].push(
+          change[side] === undefined ? change.key : change[side]
+        );
+      });
+      await bulkPutStores(itemsByStore, keysByStore);
+      return true;
     }
 
-    function put(storeName, item) {
+    async function put(storeName, item) {
+      const key = item[KEY_PATHS[storeName]];
+      await recordBefore(storeName, [key]);
+      const record = await encode(storeName, item);
       return new Promise((resolve, reject) => {
         const transaction = db.transaction(storeName, "readwrite");
         const store = transaction.objectStore(storeName);
-        const request = store.put(item);
-        request.onsuccess = () => resolve();
+        const request = store.put(record);
+        request.onsuccess = () => {
+          if (key === undefined) recordCreated(storeName, request.result);
+          resolve();
+        };
         request.onerror = (event) =>
           reject(`Error putting item in ${storeName}`);
       });
     }
 
-    function bulkPut(storeName, items) {
+    async function bulkPut(storeName, items) {
+      await recordBefore(
+        storeName,
+        items.map((item) => item[KEY_PATHS[storeName]])
+      );
+      const records = await Promise.all(
+        items.map((item) => encode(storeName, item))
+      );
       return new Promise((resolve, reject) => {
-        if (items.length === 0) return resolve();
+        if (records.length === 0) return resolve();
         const transaction = db.transaction(storeName, "readwrite");
         const store = transaction.objectStore(storeName);
-        items.forEach((item) => store.put(item));
+        records.forEach((record, i) => {
+          const request = store.put(record);
+          if (items[i][KEY_PATHS[storeName]] !== undefined) return;
+          request.onsuccess = () => recordCreated(storeName, request.result);
+        });
         transaction.oncomplete = () => resolve();
         transaction.onerror = (event) =>
           reject(`Error bulk putting items in ${storeName}`);
       });
     }
 
-    function remove(storeName, key) {
+    // Puts records into several stores in one transaction, so either all of
+    // them are saved or none are. `itemsByStore` maps store names to items,
+    // and `keysByStore` to the keys of records to delete in the same go.
+    async function bulkPutStores(itemsByStore, keysByStore = {}) {
+      const storeNames = [
+        ...new Set([...Object.keys(itemsByStore), ...Object.keys(keysByStore)]),
+      ];
+      const records = {};
+      const storedKeys = {};
+      for (const storeName of storeNames) {
+        await recordBefore(storeName, [
+          ...(itemsByStore[storeName] || []).map(
+            (item) => item[KEY_PATHS[storeName]]
+          ),
+          ...(keysByStore[storeName] || []),
+        ]);
+        records[storeName] = await Promise.all(
+          (itemsByStore[storeName] || []).map((item) => encode(storeName, item))
+        );
+        storedKeys[storeName] = await Promise.all(
+          (keysByStore[storeName] || []).map((key) =>
+            toStoredKey(storeName, key)
+          )
+        );
+      }
+      return new Promise((resolve, reject) => {
+        if (storeNames.length === 0) return resolve();
+        const transaction = db.transaction(storeNames, "readwrite");
+        storeNames.forEach((storeName) => {
+          const store = transaction.objectStore(storeName);
+          storedKeys[storeName].forEach((key) => store.delete(key));
+          records[storeName].forEach((record) => store.put(record));
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) =>
+          reject(`Error putting items in ${storeNames.join(", ")}`);
+        transaction.onabort = (event) =>
+          reject(`Error putting items in ${storeNames.join(", ")}`);
+      });
+    }
+
+    async function remove(storeName, key) {
+      await recordBefore(storeName, [key]);
+      const storedKey = await toStoredKey(storeName, key);
       return new Promise((resolve, reject) => {
         const transaction = db.transaction(storeName, "readwrite");
         const store = transaction.objectStore(storeName);
-        const request = store.delete(key);
+        const request = store.delete(storedKey);
         request.onsuccess = () => resolve();
         request.onerror = (event) =>
           reject(`Error deleting item ${key} from ${storeName}`);
       });
     }
 
-    function bulkRemove(storeName, keys) {
+    async function bulkRemove(storeName, keys) {
+      await recordBefore(storeName, keys);
+      const storedKeys = await Promise.all(
+        keys.map((key) => toStoredKey(storeName, key))
+      );
       return new Promise((resolve, reject) => {
-        if (keys.length === 0) return resolve();
+        if (storedKeys.length === 0) return resolve();
         const transaction = db.transaction(storeName, "readwrite");
         const store = transaction.objectStore(storeName);
-        keys.forEach((key) => store.delete(key));
+        storedKeys.forEach((key) => store.delete(key));
         transaction.oncomplete = () => resolve();
         transaction.onerror = (event) =>
           reject(`Error bulk deleting from ${storeName}`);
@@ -203,6 +908,46 @@ document.addEventListener("DOMContentLoaded", () => {
       });
     }
 
+    async function getVaultConfig() {
+      const setting = await get(STORES.SETTINGS, VAULT_SETTING_KEY);
+      return setting ? setting.value : null;
+    }
+
+    // Re-encodes every record for `keys` (null stores them in the clear) and
+    // writes them, with the vault settings, in a single transaction so that a
+    // failure leaves the database as it was.
+    async function rewriteVault(keys, config) {
+      const storeNames = Object.values(STORES);
+      const records = {};
+      for (const storeName of storeNames) {
+        const items = (await getAll(storeName)).filter(
+          (item) =>
+            !(storeName === STORES.SETTINGS && item.key === VAULT_SETTING_KEY)
+        );
+        records[storeName] = await Promise.all(
+          items.map((item) => encode(storeName, item, keys))
+        );
+      }
+      if (config) {
+        records[STORES.SETTINGS].push({
+          key: VAULT_SETTING_KEY,
+          value: config,
+        });
+      }
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, "readwrite");
+        storeNames.forEach((storeName) => {
+          const store = transaction.objectStore(storeName);
+          store.clear();
+          records[storeName].forEach((record) => store.put(record));
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject("Error rewriting the vault");
+        transaction.onabort = (event) => reject("Error rewriting the vault");
+      });
+      vaultKeys = keys;
+    }
+
     function getStorageUsage() {
       return new Promise(async (resolve, reject) => {
         if (!db) {
@@ -239,46 +984,391 @@ document.addEventListener("DOMContentLoaded", () => {
     return {
       open,
       getAll,
+      getAllByIndex,
+      removeByIndex,
       put,
       bulkPut,
+      bulkPutStores,
       remove,
       bulkRemove,
       clear,
       getStorageUsage,
       get,
+      upgradePrompt,
+      setVaultKeys,
+      getVaultConfig,
+      rewriteVault,
+      startRecording,
+      stopRecording,
+      applyRecorded,
       STORES,
+      VERSION: DB_VERSION,
     };
   })();
 
-  const UI = {
-    app: document.getElementById("app"),
-    sidebar: document.getElementById("sidebar"),
-    sidebarOverlay: document.getElementById("sidebar-overlay"),
-    mainContent: document.getElementById("main-content"),
-    sidebarToggle: document.getElementById("sidebar-toggle"),
-    mobileNewPromptFab: document.getElementById("mobile-new-prompt-fab"),
-    promptList: document.getElementById("prompt-list"),
-    promptListContainer: document.getElementById("prompt-list-container"),
-    promptListControls: document.querySelector(".prompt-list-controls"),
-    newPromptPlaceholder: document.getElementById("new-prompt-placeholder"),
-    promptDetails: document.getElementById("prompt-details"),
-    promptDetailsContainer: document.getElementById("prompt-details-container"),
-    noPromptSelected: document.getElementById("no-prompt-selected"),
-    promptTitle: document.getElementById("prompt-title"),
-    promptBody: document.getElementById("prompt-body"),
-    promptNotes: document.getElementById("prompt-notes"),
-    promptFolder: document.getElementById("prompt-folder"),
-    promptFolderContainer: document.getElementById("prompt-folder-container"),
-    promptFolderValue: document.getElementById("prompt-folder-value"),
-    promptFolderOptions: document.getElementById("prompt-folder-options"),
-    promptLockSwitch: document.getElementById("prompt-lock-switch"),
-    copyPromptBtn: document.getElementById("copy-prompt-btn"),
-    expandPromptBtn: document.getElementById("expand-prompt-btn"),
-    expandNotesBtn: document.getElementById("expand-notes-btn"),
-    newPromptBtn: document.getElementById("new-prompt-btn"),
-    savePromptBtn: document.getElementById("save-prompt"),
-    deletePromptBtn: document.getElementById("delete-prompt"),
-    search: document.getElementById("search"),
+  // Inverted index of the words in each prompt, used to narrow down search
+  // candidates. The persistent part only ever holds plaintext (titles, tags and
+  // unlocked content); decrypted content goes into a session-only index.
+  const SearchIndex = (function () {
+    const tokenIndex = new Map(); // token -> Set of prompt ids
+    const promptTokens = new Map(); // prompt id -> Set of tokens
+    const sessionTokenIndex = new Map();
+    const sessionPromptTokens = new Map();
+    let lookupCache = new Map();
+
+    function tokenize(text) {
+      return new Set(
+        Array.from(
+          (text || "").toLowerCase().matchAll(/[\p{L}\p{N}_]+/gu),
+          (m) => m[0]
+        )
+      );
+    }
+
+    function addEntry(index, reverse, promptId, tokens) {
+      removeEntry(index, reverse, promptId);
+      reverse.set(promptId, tokens);
+      tokens.forEach((token) => {
+        if (!index.has(token)) index.set(token, new Set());
+        index.get(token).add(promptId);
+      });
+    }
+
+    function removeEntry(index, reverse, promptId) {
+      const tokens = reverse.get(promptId);
+      if (!tokens) return;
+      tokens.forEach((token) => {
+        const ids = index.get(token);
+        if (!ids) return;
+        ids.delete(promptId);
+        if (ids.size === 0) index.delete(token);
+      });
+      reverse.delete(promptId);
+    }
+
+    // Loads the stored index and re-indexes prompts whose entry is missing or
+    // out of date. `getText` returns the plaintext to index for a prompt.
+    async function load(prompts, getText) {
+      const records = await DB.getAll(DB.STORES.SEARCH_INDEX);
+      const promptsById = new Map(prompts.map((p) => [p.id, p]));
+      const staleIds = [];
+      const upToDateIds = new Set();
+      records.forEach((record) => {
+        const prompt = promptsById.get(record.promptId);
+        if (!prompt) {
+          staleIds.push(record.promptId);
+          return;
+        }
+        if (record.dateModified === prompt.dateModified) {
+          addEntry(
+            tokenIndex,
+            promptTokens,
+            record.promptId,
+            new Set(record.tokens)
+          );
+          upToDateIds.add(record.promptId);
+        }
+      });
+      staleIds.forEach((id) => removeEntry(tokenIndex, promptTokens, id));
+      await DB.bulkRemove(DB.STORES.SEARCH_INDEX, staleIds);
+      await update(
+        prompts.filter((p) => !upToDateIds.has(p.id)),
+        getText
+      );
+    }
+
+    async function update(prompts, getText) {
+      const records = prompts.map((p) => {
+        const tokens = tokenize(getText(p));
+        addEntry(tokenIndex, promptTokens, p.id, tokens);
+        return {
+          promptId: p.id,
+          dateModified: p.dateModified,
+          tokens: [...tokens],
+        };
+      });
+      lookupCache = new Map();
+      await DB.bulkPut(DB.STORES.SEARCH_INDEX, records);
+    }
+
+    async function remove(promptIds) {
+      promptIds.forEach((id) => {
+        removeEntry(tokenIndex, promptTokens, id);
+        removeEntry(sessionTokenIndex, sessionPromptTokens, id);
+      });
+      lookupCache = new Map();
+      await DB.bulkRemove(DB.STORES.SEARCH_INDEX, promptIds);
+    }
+
+    function setSessionEntry(promptId, text) {
+      addEntry(
+        sessionTokenIndex,
+        sessionPromptTokens,
+        promptId,
+        tokenize(text)
+      );
+      lookupCache = new Map();
+    }
+
+    function clearSession(promptIds = null) {
+      if (promptIds) {
+        promptIds.forEach((id) =>
+          removeEntry(sessionTokenIndex, sessionPromptTokens, id)
+        );
+      } else {
+        sessionTokenIndex.clear();
+        sessionPromptTokens.clear();
+      }
+      lookupCache = new Map();
+    }
+
+    function clear() {
+      tokenIndex.clear();
+      promptTokens.clear();
+      clearSession();
+    }
+
+    // Prompt ids with at least one token that could match the word, using
+    // the same substring and typo rules as the full matcher.
+    function lookupWord(word, exact) {
+      const cacheKey = `${exact ? "=" : "~"}${word}`;
+      if (lookupCache.has(cacheKey)) return lookupCache.get(cacheKey);
+      const ids = new Set();
+      [tokenIndex, sessionTokenIndex].forEach((index) => {
+        index.forEach((tokenIds, token) => {
+          if (fuzzyMatchText(word, token, exact)) {
+            tokenIds.forEach((id) => ids.add(id));
+          }
+        });
+      });
+      lookupCache.set(cacheKey, ids);
+      return ids;
+    }
+
+    // Returns the ids of prompts that may match the parsed query, or null when
+    // the query has a group without positive text terms (anything may match).
+    function getCandidates(parsedQuery) {
+      const candidates = new Set();
+      for (const group of parsedQuery.groups) {
+        const words = group
+          .filter((term) => term.type === "text" && !term.negate)
+          .flatMap((term) =>
+            [...tokenize(term.value)].map((word) => ({
+              word,
+              exact: term.exact,
+            }))
+          );
+        if (words.length === 0) return null;
+
+        let groupIds = null;
+        for (const { word, exact } of words) {
+          const ids = lookupWord(word, exact);
+          groupIds = groupIds
+            ? new Set([...groupIds].filter((id) => ids.has(id)))
+            : new Set(ids);
+          if (groupIds.size === 0) break;
+        }
+        groupIds.forEach((id) => candidates.add(id));
+      }
+      return candidates;
+    }
+
+    return {
+      load,
+      update,
+      remove,
+      clear,
+      setSessionEntry,
+      clearSession,
+      getCandidates,
+    };
+  })();
+
+  // Offline token counting with the byte-pair encoding used by each model
+  // family. Rank tables live in scripts/tokenizers/ and are loaded with a
+  // script tag the first time a family is needed, which also works when the
+  // app is opened from a file.
+  const Tokenizer = (function () {
+    const MODELS = {
+      o200k_base: {
+        label: "GPT-4o, GPT-4.1, o-series",
+        url: "scripts/tokenizers/o200k_base.js",
+      },
+      cl100k_base: {
+        label: "GPT-4, GPT-3.5",
+        url: "scripts/tokenizers/cl100k_base.js",
+      },
+    };
+    const encoders = new Map(); // model -> { pattern, ranks }
+    const loading = new Map(); // model -> Promise
+    const textEncoder = new TextEncoder();
+
+    function load(model) {
+      if (!loading.has(model)) {
+        loading.set(
+          model,
+          new Promise((resolve, reject) => {
+            const script = document.createElement("script");
+            script.src = MODELS[model].url;
+            script.onload = () => {
+              const table = self.PROMPTCAT_BPE_RANKS?.[model];
+              if (!table) return reject(new Error(`No ranks for ${model}`));
+              encoders.set(model, createEncoder(table));
+              delete self.PROMPTCAT_BPE_RANKS[model];
+              resolve();
+            };
+            script.onerror = () =>
+              reject(new Error(`Could not load the ${model} tokenizer`));
+            document.head.appendChild(script);
+          })
+        );
+      }
+      return loading.get(model);
+    }
+
+    // Each line of the table is "! <first rank> <token> <token> ...", with
+    // tokens as base64 bytes. Ranks are keyed by their bytes as a binary
+    // string.
+    function createEncoder(table) {
+      const ranks = new Map();
+      table.bpe_ranks.split("\n").forEach((line) => {
+        if (!line) return;
+        const [, offset, ...tokens] = line.split(" ");
+        tokens.forEach((token, i) =>
+          ranks.set(atob(token), Number(offset) + i)
+        );
+      });
+      return { pattern: new RegExp(table.pat_str, "gu"), ranks };
+    }
+
+    function toByteString(text) {
+      let bytes = "";
+      for (const byte of textEncoder.encode(text)) {
+        bytes += String.fromCharCode(byte);
+      }
+      return bytes;
+    }
+
+    // Applies the lowest-ranked merge until none is left, as tiktoken does,
+    // and returns the number of tokens the piece ends up as. Parts are a
+    // linked list and candidate merges wait in a min-heap keyed by rank, then
+    // position, so long pieces take O(n log n) rather than O(n²).
+    function countPieceTokens(piece, ranks) {
+      if (ranks.has(piece)) return 1;
+      const length = piece.length;
+      const next = Array.from({ length }, (_, i) => i + 1);
+      const prev = Array.from({ length }, (_, i) => i - 1);
+      const pairRanks = new Array(length).fill(Infinity);
+      const heap = [];
+      const push = (key) => {
+        let i = heap.push(key) - 1;
+        while (i > 0 && heap[(i - 1) >> 1] > key) {
+          heap[i] = heap[(i - 1) >> 1];
+          i = (i - 1) >> 1;
+        }
+        heap[i] = key;
+      };
+      const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        let i = 0;
+        while (i < heap.length) {
+          let child = 2 * i + 1;
+          if (child >= heap.length) break;
+          if (child + 1 < heap.length && heap[child + 1] < heap[child]) child++;
+          if (heap[child] >= last) break;
+          heap[i] = heap[child];
+          i = child;
+        }
+        if (i < heap.length) heap[i] = last;
+        return top;
+      };
+      // The rank of merging the part starting at `i` with the one after it.
+      const updateRank = (i) => {
+        const end = next[i] < length ? next[next[i]] : length + 1;
+        pairRanks[i] =
+          end <= length ? ranks.get(piece.slice(i, end)) ?? Infinity : Infinity;
+        if (pairRanks[i] !== Infinity) push(pairRanks[i] * length + i);
+      };
+      for (let i = 0; i < length; i++) updateRank(i);
+
+      let parts = length;
+      while (heap.length > 0) {
+        const key = pop();
+        const i = key % length;
+        if (pairRanks[i] !== (key - i) / length) continue; // stale entry
+        const merged = next[i];
+        next[i] = next[merged];
+        if (next[i] < length) prev[next[i]] = i;
+        pairRanks[merged] = Infinity;
+        parts--;
+        updateRank(i);
+        if (prev[i] >= 0) updateRank(prev[i]);
+      }
+      return parts;
+    }
+
+    // Returns null until the model's table has been loaded.
+    function count(text, model) {
+      const encoder = encoders.get(model);
+      if (!encoder) return null;
+      let total = 0;
+      for (const [piece] of (text || "").matchAll(encoder.pattern)) {
+        total += countPieceTokens(toByteString(piece), encoder.ranks);
+      }
+      return total;
+    }
+
+    return {
+      MODELS,
+      load,
+      isLoaded: (model) => encoders.has(model),
+      count,
+    };
+  })();
+
+  const UI = {
+    app: document.getElementById("app"),
+    sidebar: document.getElementById("sidebar"),
+    sidebarOverlay: document.getElementById("sidebar-overlay"),
+    mainContent: document.getElementById("main-content"),
+    sidebarToggle: document.getElementById("sidebar-toggle"),
+    mobileNewPromptFab: document.getElementById("mobile-new-prompt-fab"),
+    promptList: document.getElementById("prompt-list"),
+    promptListContainer: document.getElementById("prompt-list-container"),
+    promptListControls: document.querySelector(".prompt-list-controls"),
+    trashList: document.getElementById("trash-list"),
+    trashRetentionSelect: document.getElementById("trash-retention-select"),
+    emptyTrashBtn: document.getElementById("empty-trash-btn"),
+    newPromptPlaceholder: document.getElementById("new-prompt-placeholder"),
+    promptDetails: document.getElementById("prompt-details"),
+    promptDetailsContainer: document.getElementById("prompt-details-container"),
+    noPromptSelected: document.getElementById("no-prompt-selected"),
+    promptTitle: document.getElementById("prompt-title"),
+    promptBody: document.getElementById("prompt-body"),
+    promptNotes: document.getElementById("prompt-notes"),
+    promptFolder: document.getElementById("prompt-folder"),
+    promptFolderContainer: document.getElementById("prompt-folder-container"),
+    promptFolderValue: document.getElementById("prompt-folder-value"),
+    promptFolderOptions: document.getElementById("prompt-folder-options"),
+    promptLockSwitch: document.getElementById("prompt-lock-switch"),
+    changePromptPasswordBtn: document.getElementById(
+      "change-prompt-password-btn"
+    ),
+    promptHideMetaContainer: document.getElementById(
+      "prompt-hide-meta-container"
+    ),
+    promptHideMetaSwitch: document.getElementById("prompt-hide-meta-switch"),
+    copyPromptBtn: document.getElementById("copy-prompt-btn"),
+    expandPromptBtn: document.getElementById("expand-prompt-btn"),
+    previewIncludesBtn: document.getElementById("preview-includes-btn"),
+    promptUsedBy: document.getElementById("prompt-used-by"),
+    promptUsedByList: document.getElementById("prompt-used-by-list"),
+    expandNotesBtn: document.getElementById("expand-notes-btn"),
+    newPromptBtn: document.getElementById("new-prompt-btn"),
+    savePromptBtn: document.getElementById("save-prompt"),
+    deletePromptBtn: document.getElementById("delete-prompt"),
+    search: document.getElementById("search"),
     primaryNavList: document.getElementById("primary-nav-list"),
     folderList: document.getElementById("folder-list"),
     newFolderContainer: document.getElementById("new-folder-container"),
@@ -293,6 +1383,8 @@ document.addEventListener("DOMContentLoaded", () => {
     tagsInput: document.getElementById("tags-input"),
     tagSuggestions: document.getElementById("tag-suggestions"),
     charCounter: document.getElementById("char-counter"),
+    charCount: document.getElementById("char-count"),
+    tokenCount: document.getElementById("token-count"),
     tagsList: document.getElementById("tags-list"),
     sortBy: document.getElementById("sort-by"),
     selectModeBtn: document.getElementById("select-mode-btn"),
@@ -317,8 +1409,16 @@ document.addEventListener("DOMContentLoaded", () => {
     folderSettingsModal: document.getElementById("folder-settings-modal"),
     folderSettingsTitle: document.getElementById("folder-settings-title"),
     renameFolderInput: document.getElementById("rename-folder-input"),
+    folderParentSelect: document.getElementById("folder-parent-select"),
     saveRenameBtn: document.getElementById("save-rename-btn"),
     toggleLockFolderBtn: document.getElementById("toggle-lock-folder-btn"),
+    changeFolderPasswordBtn: document.getElementById(
+      "change-folder-password-btn"
+    ),
+    folderHideMetaContainer: document.getElementById(
+      "folder-hide-meta-container"
+    ),
+    folderHideMetaCb: document.getElementById("folder-hide-meta-cb"),
     cancelFolderSettingsBtn: document.getElementById(
       "cancel-folder-settings-btn"
     ),
@@ -340,14 +1440,54 @@ document.addEventListener("DOMContentLoaded", () => {
     settingsModal: document.getElementById("settings-modal"),
     importBtnModal: document.getElementById("import-btn-modal"),
     exportBtnModal: document.getElementById("export-btn-modal"),
+    vaultBtnModal: document.getElementById("vault-btn-modal"),
+    kdfIterationsSelect: document.getElementById("kdf-iterations-select"),
+    tokenModelSelect: document.getElementById("token-model-select"),
+    tokenBudgetInput: document.getElementById("token-budget-input"),
+    sessionBtnModal: document.getElementById("session-btn-modal"),
+    sessionModal: document.getElementById("session-modal"),
+    sessionList: document.getElementById("session-list"),
+    autoLockSelect: document.getElementById("auto-lock-select"),
+    lockOnHiddenCb: document.getElementById("lock-on-hidden-cb"),
+    lockAllBtn: document.getElementById("lock-all-btn"),
+    closeSessionModalBtn: document.getElementById("close-session-modal-btn"),
+    vaultBtnLabel: document.getElementById("vault-btn-label"),
+    lockAppBtn: document.getElementById("lock-app-btn"),
+    cryptoProgress: document.getElementById("crypto-progress"),
+    cryptoProgressLabel: document.getElementById("crypto-progress-label"),
+    cryptoProgressBar: document.getElementById("crypto-progress-bar"),
+    undoToast: document.getElementById("undo-toast"),
+    undoToastMessage: document.getElementById("undo-toast-message"),
+    undoToastBtn: document.getElementById("undo-toast-btn"),
     resetDataBtnModal: document.getElementById("reset-data-btn-modal"),
     closeSettingsModalBtn: document.getElementById("close-settings-modal-btn"),
     manageTagsBtn: document.getElementById("manage-tags-btn"),
     manageTagsModal: document.getElementById("manage-tags-modal"),
     manageTagsList: document.getElementById("manage-tags-list"),
     closeManageTagsBtn: document.getElementById("close-manage-tags-btn"),
+    includePreviewModal: document.getElementById("include-preview-modal"),
+    includePreviewText: document.getElementById("include-preview-text"),
+    includePreviewProblems: document.getElementById("include-preview-problems"),
+    closeIncludePreviewBtn: document.getElementById(
+      "close-include-preview-btn"
+    ),
+    historyPromptBtn: document.getElementById("history-prompt-btn"),
+    promptHistory: document.getElementById("prompt-history"),
+    closeHistoryBtn: document.getElementById("close-history-btn"),
+    historyCompareFrom: document.getElementById("history-compare-from"),
+    historyCompareTo: document.getElementById("history-compare-to"),
+    historyDiff: document.getElementById("history-diff"),
+    historyList: document.getElementById("history-list"),
   };
 
+  function escapeHTML(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
   function formatBytes(bytes, decimals = 2) {
     if (bytes === 0) return "0 Bytes";
     const k = 1024;
@@ -381,6 +1521,12 @@ document.addEventListener("DOMContentLoaded", () => {
         const modal = config.modalId
           ? document.getElementById(config.modalId)
           : UI.genericModal;
+        // Wait for a previous use of the same modal to finish closing, so
+        // modals can be shown one after another.
+        if (modal && modal.classList.contains("closing")) {
+          setTimeout(() => ModalService.show(config).then(resolve), 50);
+          return;
+        }
         if (!modal || modal.classList.contains("show")) return resolve(false);
 
         const modalTitle =
@@ -392,6 +1538,8 @@ document.addEventListener("DOMContentLoaded", () => {
           UI.genericModal.querySelector("input");
         const modalConfirmBtn = modal.querySelector(".modal-confirm-js");
         const modalCancelBtn = modal.querySelector(".modal-cancel-js");
+        // An optional third button resolves with "alt".
+        const modalAltBtn = modal.querySelector(".modal-alt-js");
         const errorEl = document.getElementById("generic-modal-error");
         const rememberContainer = document.getElementById(
           "generic-modal-remember-container"
@@ -409,13 +1557,23 @@ document.addEventListener("DOMContentLoaded", () => {
 
         if (modalCancelBtn) modalCancelBtn.style.display = "inline-flex";
         if (modalConfirmBtn) modalConfirmBtn.classList.remove("danger");
-        if (config.type === "alert" && modalCancelBtn) {
+        if (
+          (config.type === "alert" || config.cancellable === false) &&
+          modalCancelBtn
+        ) {
           modalCancelBtn.style.display = "none";
         }
 
         const needsValidation =
           config.type === "password" && typeof config.validate === "function";
         const hasInput = config.type === "prompt" || config.type === "password";
+        const modalFields = modal.querySelector(".modal-fields-js");
+        const hasForm = config.type === "form" && !!modalFields;
+
+        if (hasForm) {
+          modalMessage.style.display = config.message ? "block" : "none";
+          renderModalFields(modalFields, config.fields || []);
+        }
 
         if (hasInput) {
           modalInput.style.display = "block";
@@ -425,7 +1583,7 @@ document.addEventListener("DOMContentLoaded", () => {
           setTimeout(() => modalInput.focus(), 50);
         }
 
-        if (needsValidation) {
+        if (needsValidation && config.rememberOption !== false) {
           rememberContainer.style.display = "block";
           rememberCb.checked = false;
         }
@@ -457,6 +1615,9 @@ document.addEventListener("DOMContentLoaded", () => {
           } else if (hasInput) {
             cleanup();
             resolve(modalInput.value);
+          } else if (hasForm) {
+            cleanup();
+            resolve(readModalFields(modalFields, config.fields || []));
           } else {
             cleanup();
             resolve(true);
@@ -464,10 +1625,14 @@ document.addEventListener("DOMContentLoaded", () => {
         };
         const onCancel = () => {
           cleanup();
-          resolve(hasInput ? null : false);
+          resolve(hasInput || hasForm ? null : false);
+        };
+        const onAlt = () => {
+          cleanup();
+          resolve("alt");
         };
         const onOverlayClick = (e) => {
-          if (e.target === modal) onCancel();
+          if (e.target === modal && config.cancellable !== false) onCancel();
         };
 
         let cleanup = () => {
@@ -475,11 +1640,13 @@ document.addEventListener("DOMContentLoaded", () => {
           hideModal(modal);
           modalConfirmBtn.removeEventListener("click", onConfirm);
           modalCancelBtn.removeEventListener("click", onCancel);
+          if (modalAltBtn) modalAltBtn.removeEventListener("click", onAlt);
           modal.removeEventListener("click", onOverlayClick);
         };
 
         modalConfirmBtn.addEventListener("click", onConfirm);
         modalCancelBtn.addEventListener("click", onCancel);
+        if (modalAltBtn) modalAltBtn.addEventListener("click", onAlt);
         modal.addEventListener("click", onOverlayClick);
       });
     },
@@ -501,8 +1668,87 @@ document.addEventListener("DOMContentLoaded", () => {
         message,
         title: config.title || "Password Required",
       }),
+    form: (fields, config = {}) =>
+      ModalService.show({
+        type: "form",
+        modalId: "form-modal",
+        confirmBtnText: "Done",
+        ...config,
+        fields,
+        message: config.message || "",
+      }),
   };
 
+  function renderModalFields(container, fields) {
+    container.innerHTML = "";
+    fields.forEach((field, index) => {
+      const group = document.createElement("div");
+      group.className = "modal-field";
+      const inputId = `modal-field-${index}`;
+      let input;
+
+      if (field.type === "select") {
+        input = document.createElement("select");
+        (field.options || []).forEach((opt) => {
+          const option = document.createElement("option");
+          option.value = opt.value;
+          option.textContent = opt.label;
+          input.appendChild(option);
+        });
+        input.value = field.value ?? "";
+      } else if (field.type === "textarea") {
+        input = document.createElement("textarea");
+        input.rows = field.rows || 3;
+        input.value = field.value ?? "";
+      } else if (field.type === "checkbox") {
+        const label = document.createElement("label");
+        label.className = "custom-checkbox-label";
+        input = document.createElement("input");
+        input.type = "checkbox";
+        input.checked = !!field.value;
+        const box = document.createElement("span");
+        box.className = "custom-checkbox-span";
+        const text = document.createElement("span");
+        text.textContent = field.label;
+        label.append(input, box, text);
+        input.id = inputId;
+        input.dataset.fieldName = field.name;
+        group.appendChild(label);
+        container.appendChild(group);
+        return;
+      } else {
+        input = document.createElement("input");
+        input.type = field.type || "text";
+        input.value = field.value ?? "";
+      }
+
+      const label = document.createElement("label");
+      label.htmlFor = inputId;
+      label.textContent = field.label || field.name;
+      input.id = inputId;
+      input.dataset.fieldName = field.name;
+      input.classList.add("inline-form-input");
+      if (field.placeholder) input.placeholder = field.placeholder;
+      group.append(label, input);
+      container.appendChild(group);
+    });
+    const first = container.querySelector("input, textarea, select");
+    if (first) setTimeout(() => first.focus(), 50);
+  }
+
+  function readModalFields(container, fields) {
+    const values = {};
+    fields.forEach((field) => {
+      const input = container.querySelector(
+        `[data-field-name="${CSS.escape(field.name)}"]`
+      );
+      if (!input) return;
+      values[field.name] =
+        field.type === "checkbox" ? input.checked : input.value;
+    });
+    return values;
+  }
+
   async function initResize() {
     const resizer = document.getElementById("resizer");
     const left = document.getElementById("prompt-list-container");
@@ -574,6 +1820,7 @@ document.addEventListener("DOMContentLoaded", () => {
     isSelectMode: false,
     selectedPromptIds: new Set(),
     sortBy: "dateCreated_desc",
+    sortBeforeSearch: null,
     folderToDeleteId: null,
     folderToEditId: null,
     copyTimeout: null,
@@ -582,23 +1829,318 @@ document.addEventListener("DOMContentLoaded", () => {
     isLeaving: false,
     sessionPasswords: {}, // { 'folder-123': 'pass', 'prompt-456': 'pass2' }
     decryptedCache: {}, // { 12345: { body: '...', notes: '...' } }
+    decryptedMeta: {}, // { 12345: { title: '...', tags: ['...'] } }
     newPromptLockInfo: null, // { password: '...' }
+    currentPromptLockInfo: null, // { key: 'prompt-456', password: '...' }
+    historyRevisions: [],
+    decryptedRevisions: {}, // { 7: { title: '...', body: '...', ... } }
+    templateValues: {}, // { 12345: { topic: '...', tone: '...' } }
+    searchMatches: {}, // { 12345: { titleTerms: ['seo'], context: '...' } }
+    collapsedFolderIds: new Set(),
+    vaultEnabled: false,
+    autoLock: { timeoutMinutes: 0, lockOnHidden: false },
+    lastActivity: Date.now(),
+    trash: [],
+    trashRetentionDays: 30,
+    lastItemId: 0, // highest prompt or folder id handed out or in use
+    undoStack: [], // [{ label: 'Tag renamed', changes: [...] }]
+    redoStack: [],
+    undoToastTimeout: null,
+    pendingDraft: null, // { key, content, lock, dateModified }
+    draftTimeout: null,
+    draftWrite: null,
+    draftKey: null, // Prompt whose draft the open editor already restored
+    isOfferingDraft: false,
+    editorBaseline: null, // Editor contents as last loaded or saved
+    tokenSettings: { model: "o200k_base", budget: 0 },
+    tokenCounts: new Map(), // prompt id -> { model, dateModified, count }
   };
   let resizeListenersAttached = false;
 
   async function init() {
     await DB.open();
+    await loadEncryptionSettings();
+    await unlockVault();
     await loadData();
+    renderTokenSettings();
+    await purgeTrash();
+    await SearchIndex.load(state.prompts, getIndexableText);
     attachEventListeners();
     initResize();
     updateUI();
     history.replaceState({ appState: "base" }, "");
+    if (await DB.get(DB.STORES.DRAFTS, NEW_PROMPT_DRAFT_KEY)) {
+      openPromptDetailsView(true);
+    }
   }
   async function loadData() {
     state.prompts = await DB.getAll(DB.STORES.PROMPTS);
     state.folders = await DB.getAll(DB.STORES.FOLDERS);
     const storedTags = await DB.getAll(DB.STORES.TAGS);
     state.globalTags = storedTags.map((t) => t.id); // Convert back to simple array
+    const savedTemplateValues = await DB.get(
+      DB.STORES.SETTINGS,
+      "templateValues"
+    );
+    state.templateValues = savedTemplateValues ? savedTemplateValues.value : {};
+    const collapsedFolders = await DB.get(
+      DB.STORES.SETTINGS,
+      "collapsedFolders"
+    );
+    state.collapsedFolderIds = new Set(
+      collapsedFolders ? collapsedFolders.value : []
+    );
+    const autoLock = await DB.get(DB.STORES.SETTINGS, "autoLock");
+    if (autoLock) state.autoLock = { ...state.autoLock, ...autoLock.value };
+    state.trash = await DB.getAll(DB.STORES.TRASH);
+    const trashSetting = await DB.get(DB.STORES.SETTINGS, "trash");
+    if (trashSetting)
+      state.trashRetentionDays = trashSetting.value.retentionDays;
+    const tokenSetting = await DB.get(DB.STORES.SETTINGS, "tokens");
+    if (tokenSetting) {
+      state.tokenSettings = { ...state.tokenSettings, ...tokenSetting.value };
+    }
+    reserveItemIds([
+      ...state.prompts,
+      ...state.folders,
+      ...state.trash.flatMap((entry) => [
+        ...entry.prompts,
+        ...entry.folders,
+        ...entry.ancestors,
+      ]),
+    ]);
+  }
+
+  // Prompt and folder ids are creation times, but imports and restores need
+  // several at once and imported items keep their own, so every new id comes
+  // from here and is never one already in use.
+  function createItemId() {
+    state.lastItemId = Math.max(Date.now(), state.lastItemId + 1);
+    return state.lastItemId;
+  }
+
+  function reserveItemIds(items) {
+    state.lastItemId = items.reduce(
+      (max, item) => Math.max(max, Number(item.id) || 0),
+      state.lastItemId
+    );
+  }
+
+  const KDF_ITERATION_OPTIONS = [100000, 310000, 600000, 1000000];
+
+  // Read before the vault is unlocked, which needs it to decide whether to
+  // re-wrap the vault.
+  async function loadEncryptionSettings() {
+    const setting = await DB.get(DB.STORES.SETTINGS, "encryption");
+    if (setting) CryptoService.iterations = setting.value.iterations;
+    UI.kdfIterationsSelect.innerHTML = KDF_ITERATION_OPTIONS.map(
+      (iterations) =>
+        `<option value="${iterations}">${iterations.toLocaleString(
+          "en-US"
+        )} iterations</option>`
+    ).join("");
+    UI.kdfIterationsSelect.value = String(CryptoService.iterations);
+  }
+
+  async function handleKdfIterationsChange() {
+    CryptoService.iterations = Number(UI.kdfIterationsSelect.value);
+    await DB.put(DB.STORES.SETTINGS, {
+      key: "encryption",
+      value: { iterations: CryptoService.iterations },
+    });
+  }
+
+  const CRYPTO_PROGRESS_MIN_ITEMS = 20;
+
+  // Returns an onProgress callback for CryptoService's bulk methods that
+  // shows how far a large job has got.
+  function trackCryptoProgress(label) {
+    return (done, total) => {
+      if (total < CRYPTO_PROGRESS_MIN_ITEMS) return;
+      UI.cryptoProgressLabel.textContent = `${label} ${done} of ${total}…`;
+      UI.cryptoProgressBar.max = total;
+      UI.cryptoProgressBar.value = done;
+      UI.cryptoProgress.classList.toggle("visible", done < total);
+    };
+  }
+
+  // Encrypts or decrypts the body and notes of prompts or revisions in one
+  // bulk job. Returns [{ body, notes }] in the order of `records`.
+  async function cryptRecords(operation, records, password) {
+    const values = records.flatMap((r) => [r.body, r.notes]);
+    const results =
+      operation === "encrypt"
+        ? await CryptoService.encryptMany(
+            values,
+            password,
+            trackCryptoProgress("Encrypting")
+          )
+        : await CryptoService.decryptMany(
+            values,
+            password,
+            trackCryptoProgress("Decrypting")
+          );
+    return records.map((_, i) => ({
+      body: results[2 * i],
+      notes: results[2 * i + 1],
+    }));
+  }
+
+  const VAULT_CHECK_TEXT = "promptcat-vault";
+  const AUTO_LOCK_CHECK_INTERVAL = 15000;
+
+  async function getVaultKeys(password, config) {
+    const keys = await CryptoService.deriveVaultKeys(
+      password,
+      CryptoService._base64ToArrayBuffer(config.salt),
+      config.iterations || CryptoService.legacyKdf.iterations
+    );
+    const check = await CryptoService.decryptWithKey(
+      config.check,
+      keys.encryptionKey
+    );
+    return check === VAULT_CHECK_TEXT ? keys : null;
+  }
+
+  async function createVault(password) {
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const iterations = CryptoService.iterations;
+    const keys = await CryptoService.deriveVaultKeys(
+      password,
+      salt,
+      iterations
+    );
+    const config = {
+      salt: CryptoService._arrayBufferToBase64(salt),
+      iterations,
+      check: await CryptoService.encryptWithKey(
+        VAULT_CHECK_TEXT,
+        keys.encryptionKey
+      ),
+    };
+    return { keys, config };
+  }
+
+  // Nothing is read from the database until the master password is given.
+  async function unlockVault() {
+    const config = await DB.getVaultConfig();
+    state.vaultEnabled = !!config;
+    updateVaultUI();
+    if (!config) return;
+    let keys = null;
+    let vaultPassword = null;
+    await ModalService.password(
+      "PromptCat is in vault mode. Enter your master password to unlock it.",
+      {
+        title: "Unlock PromptCat",
+        confirmBtnText: "Unlock",
+        rememberOption: false,
+        cancellable: false,
+        validate: async (password) => {
+          keys = await getVaultKeys(password, config);
+          if (keys) vaultPassword = password;
+          return !!keys;
+        },
+      }
+    );
+    DB.setVaultKeys(keys);
+
+    // Re-wrap the vault if it was made with a weaker KDF than is now set.
+    // Done before anything is loaded, so no other write can interleave.
+    const iterations = config.iterations || CryptoService.legacyKdf.iterations;
+    if (iterations < CryptoService.iterations) {
+      try {
+        const vault = await createVault(vaultPassword);
+        await DB.rewriteVault(vault.keys, vault.config);
+      } catch (e) {
+        console.error("Could not upgrade the vault encryption", e);
+      }
+    }
+  }
+
+  function updateVaultUI() {
+    UI.vaultBtnLabel.textContent = state.vaultEnabled
+      ? "Disable Vault Mode"
+      : "Enable Vault Mode";
+    UI.lockAppBtn.style.display = state.vaultEnabled ? "flex" : "none";
+  }
+
+  async function handleToggleVault() {
+    if (state.vaultEnabled) {
+      const config = await DB.getVaultConfig();
+      const result = await ModalService.password(
+        "Enter your master password to turn off vault mode. Your data will be stored unencrypted, except for locked folders and prompts.",
+        {
+          title: "Disable Vault Mode",
+          confirmBtnText: "Disable",
+          rememberOption: false,
+          validate: async (password) =>
+            !!(await getVaultKeys(password, config)),
+        }
+      );
+      if (!result) return;
+      try {
+        await DB.rewriteVault(null, null);
+      } catch (e) {
+        console.error(e);
+        await ModalService.alert(
+          "Vault mode could not be disabled. Your data was not changed.",
+          "Error"
+        );
+        return;
+      }
+      state.vaultEnabled = false;
+      updateVaultUI();
+      await ModalService.alert("Vault mode is off.", "Vault Mode");
+      return;
+    }
+
+    const values = await ModalService.form(
+      [
+        { name: "password", label: "Master password", type: "password" },
+        { name: "confirm", label: "Confirm master password", type: "password" },
+      ],
+      {
+        title: "Enable Vault Mode",
+        message:
+          "All of your data will be encrypted with this password, and PromptCat will ask for it each time it opens. It cannot be recovered if you forget it.",
+        confirmBtnText: "Enable",
+      }
+    );
+    if (!values) return;
+    if (!values.password || values.password !== values.confirm) {
+      await ModalService.alert(
+        values.password
+          ? "The passwords do not match."
+          : "Please enter a password.",
+        "Vault Mode"
+      );
+      return;
+    }
+
+    try {
+      const { keys, config } = await createVault(values.password);
+      await DB.rewriteVault(keys, config);
+    } catch (e) {
+      console.error(e);
+      await ModalService.alert(
+        "Vault mode could not be enabled. Your data was not changed.",
+        "Error"
+      );
+      return;
+    }
+    state.vaultEnabled = true;
+    updateVaultUI();
+    await ModalService.alert(
+      "Vault mode is on. Use Lock App to lock PromptCat when you step away.",
+      "Vault Mode"
+    );
+  }
+
+  // Reloading is the surest way to drop the keys and every decrypted value
+  // held in memory.
+  function handleLockApp() {
+    location.reload();
   }
 
   function updateUI() {
@@ -650,15 +2192,26 @@ document.addEventListener("DOMContentLoaded", () => {
             }">
                 <span class="item-name">Locked</span>
                 <div class="nav-item-meta"><span class="item-count">${lockedPromptsCount}</span></div>
+            </li>
+            <li data-type="trash" data-id="trash" class="${
+              state.view.type === "trash" ? "active" : ""
+            }">
+                <span class="item-name">Trash</span>
+                <div class="nav-item-meta"><span class="item-count">${
+                  state.trash.length
+                }</span></div>
             </li>`;
     UI.folderList.innerHTML = "";
-    state.folders.forEach((folder) => {
-      const folderCount = state.prompts.filter(
-        (p) => p.folderId === folder.id
-      ).length;
+    const folderCounts = getRecursiveFolderCounts();
+    getFolderTree({ skipCollapsed: true }).forEach(({ folder, depth }) => {
+      const folderCount = folderCounts[folder.id] || 0;
+      const hasChildren = getChildFolders(folder.id).length > 0;
+      const isCollapsed = state.collapsedFolderIds.has(folder.id);
       const li = document.createElement("li");
       li.dataset.type = "folder";
       li.dataset.id = folder.id;
+      li.setAttribute("draggable", "true");
+      li.style.setProperty("--folder-depth", depth);
       li.classList.toggle(
         "active",
         state.view.type === "folder" && state.view.id === folder.id
@@ -666,7 +2219,15 @@ document.addEventListener("DOMContentLoaded", () => {
       const lockIcon = folder.isLocked
         ? `<svg class="lock-icon"><use href="#icon-lock"></use></svg>`
         : "";
+      const toggle = hasChildren
+        ? `<button class="folder-toggle ${
+            isCollapsed ? "collapsed" : ""
+          }" data-folder-id="${folder.id}" title="${
+            isCollapsed ? "Expand" : "Collapse"
+          }"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg></button>`
+        : `<span class="folder-toggle-spacer"></span>`;
       li.innerHTML = `
+                ${toggle}
                 <span class="item-name">${folder.name}</span>
                 <div class="folder-meta">
                     ${lockIcon}
@@ -679,17 +2240,117 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // A folder whose parent no longer exists is treated as a root folder.
+  function getFolderParentId(folder) {
+    if (folder.parentId == null) return null;
+    return state.folders.some((f) => f.id === folder.parentId)
+      ? folder.parentId
+      : null;
+  }
+
+  // A locked folder only encrypts the prompts directly in it, so it can't
+  // have subfolders: one that would go into it goes into its nearest
+  // unlocked ancestor instead. `folders` lists the folders to look in,
+  // earlier ones winning.
+  function getSubfolderParentId(parentId, folders = state.folders) {
+    const seen = new Set();
+    let parent = folders.find((f) => f.id === parentId);
+    while (parent && parent.isLocked && !seen.has(parent.id)) {
+      seen.add(parent.id);
+      parentId = parent.parentId ?? null;
+      parent = folders.find((f) => f.id === parentId);
+    }
+    return parent ? parentId : null;
+  }
+
+  function getChildFolders(parentId) {
+    return state.folders.filter(
+      (f) => getFolderParentId(f) === parentId && f.id !== parentId
+    );
+  }
+
+  // Depth-first list of folders with their nesting depth.
+  function getFolderTree({ skipCollapsed = false, excludeId = null } = {}) {
+    const tree = [];
+    const visited = new Set();
+    const walk = (parentId, depth) => {
+      getChildFolders(parentId).forEach((folder) => {
+        if (visited.has(folder.id) || folder.id === excludeId) return;
+        visited.add(folder.id);
+        tree.push({ folder, depth });
+        if (!skipCollapsed || !state.collapsedFolderIds.has(folder.id)) {
+          walk(folder.id, depth + 1);
+        }
+      });
+    };
+    walk(null, 0);
+    return tree;
+  }
+
+  // Returns the folder id together with the ids of all its descendants.
+  function getFolderSubtreeIds(folderId) {
+    const ids = new Set([folderId]);
+    const queue = [folderId];
+    while (queue.length > 0) {
+      const parentId = queue.shift();
+      getChildFolders(parentId).forEach((child) => {
+        if (ids.has(child.id)) return;
+        ids.add(child.id);
+        queue.push(child.id);
+      });
+    }
+    return ids;
+  }
+
+  // Names of the folder and its ancestors, from the root down.
+  function getFolderPath(folderId) {
+    const names = [];
+    const seen = new Set();
+    let folder = state.folders.find((f) => f.id === folderId);
+    while (folder && !seen.has(folder.id)) {
+      seen.add(folder.id);
+      names.unshift(folder.name);
+      const parentId = getFolderParentId(folder);
+      folder =
+        parentId == null ? null : state.folders.find((f) => f.id === parentId);
+    }
+    return names;
+  }
+
+  function getRecursiveFolderCounts() {
+    const counts = {};
+    state.prompts.forEach((p) => {
+      const seen = new Set();
+      let folder = state.folders.find((f) => f.id === p.folderId);
+      while (folder && !seen.has(folder.id)) {
+        seen.add(folder.id);
+        counts[folder.id] = (counts[folder.id] || 0) + 1;
+        const parentId = getFolderParentId(folder);
+        folder =
+          parentId == null
+            ? null
+            : state.folders.find((f) => f.id === parentId);
+      }
+    });
+    return counts;
+  }
+
+  function getFolderOptionLabel(folder, depth) {
+    const lockIcon = folder.isLocked ? "🔓 " : "";
+    return `${"\u00A0\u00A0\u00A0".repeat(depth)}${lockIcon}${folder.name}`;
+  }
+
   function renderSidebarTags() {
     const allUniqueTags = [
       ...new Set([
-        ...state.prompts.flatMap((p) => p.tags || []),
+        ...state.prompts.flatMap((p) => getPromptMeta(p).tags),
         ...state.globalTags,
       ]),
     ].sort();
     UI.tagsList.innerHTML = "";
     allUniqueTags.forEach((tag) => {
       const tagCount = state.prompts.filter((p) =>
-        (p.tags || []).includes(tag)
+        getPromptMeta(p).tags.includes(tag)
       ).length;
       const tagEl = document.createElement("div");
       tagEl.className = "tag-item";
@@ -702,41 +2363,61 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
-  function createMatchSnippet(text, query, maxLength = 70) {
-    if (!text || !query) return "";
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  // Escapes the text and wraps every occurrence of the given terms in <mark>.
+  function highlightTerms(text, terms) {
+    const uniqueTerms = [...new Set(terms.filter(Boolean))].sort(
+      (a, b) => b.length - a.length
+    );
+    if (uniqueTerms.length === 0) return escapeHTML(text);
+    const regex = new RegExp(
+      `(${uniqueTerms.map(escapeRegExp).join("|")})`,
+      "gi"
+    );
+    return text
+      .split(regex)
+      .map((part, i) =>
+        i % 2 === 1 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part)
+      )
+      .join("");
+  }
+
+  function createMatchSnippet(text, terms, maxLength = 70) {
+    if (!text || !terms || terms.length === 0) return "";
 
     const lines = text.split("\n");
-    let bestMatch = { line: "", index: -1 };
+    let bestMatch = { line: "", index: -1, length: 0 };
 
-    // Find the first line that contains the query
+    // Find the first line that contains one of the terms
     for (const line of lines) {
       const lowerLine = line.toLowerCase();
-      const index = lowerLine.indexOf(query.toLowerCase());
-      if (index > -1) {
-        bestMatch = { line, index };
-        break;
+      for (const term of terms) {
+        const index = lowerLine.indexOf(term.toLowerCase());
+        if (index > -1 && (bestMatch.index === -1 || index < bestMatch.index)) {
+          bestMatch = { line, index, length: term.length };
+        }
       }
+      if (bestMatch.index > -1) break;
     }
 
     if (bestMatch.index === -1) {
       return ""; // No match found
     }
 
-    const { line, index } = bestMatch;
-    const queryLength = query.length;
-
-    const safeQuery = query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-    const regex = new RegExp(`(${safeQuery})`, "gi");
+    const { line, index, length } = bestMatch;
 
     // If the whole line is short enough, just highlight and return it
     if (line.length <= maxLength) {
-      return line.replace(regex, "<mark>$1</mark>");
+      return highlightTerms(line, terms);
     }
 
     // Otherwise, create a snippet centered around the match
-    const halfLength = Math.floor((maxLength - queryLength) / 2);
+    const halfLength = Math.floor((maxLength - length) / 2);
     let startIndex = index - halfLength;
-    let endIndex = index + queryLength + halfLength;
+    let endIndex = index + length + halfLength;
 
     let prefix = "...";
     let suffix = "...";
@@ -751,64 +2432,563 @@ document.addEventListener("DOMContentLoaded", () => {
       suffix = "";
     }
 
-    // Extract the snippet and highlight the match within it
-    let snippet = line.substring(startIndex, endIndex);
-    snippet = snippet.replace(regex, "<mark>$1</mark>");
-
-    return prefix + snippet + suffix;
+    // Extract the snippet and highlight the matches within it
+    const snippet = line.substring(startIndex, endIndex);
+    return prefix + highlightTerms(snippet, terms) + suffix;
   }
 
   function getSearchQuery() {
-    const desktopQuery = UI.search.value.trim().toLowerCase();
-    const mobileQuery = UI.mobileSearchInput.value.trim().toLowerCase();
+    const desktopQuery = UI.search.value.trim();
+    const mobileQuery = UI.mobileSearchInput.value.trim();
     return window.innerWidth <= 768 ? mobileQuery : desktopQuery;
   }
 
-  function getFilteredAndSortedPrompts() {
-    let list = [...state.prompts];
-    const query = getSearchQuery();
+  const SEARCH_TEXT_FIELDS = ["title", "tags", "body", "notes"];
+  const SEARCH_FIELD_WEIGHTS = { title: 4, tags: 3, body: 2, notes: 1 };
+
+  // Parses a query such as `tag:seo -draft "exact phrase" OR is:favorite`
+  // into OR-groups of terms that must all match.
+  function parseSearchQuery(query) {
+    const groups = [[]];
+    const fields = new Set();
+    const tokenRegex = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+    for (const match of query.matchAll(tokenRegex)) {
+      const [raw, negation, rawKey, quoted, plain] = match;
+      const negate = negation === "-";
+      const key = (rawKey || "").toLowerCase();
+      const value = (quoted ?? plain ?? "").toLowerCase();
+
+      if (raw === "-") continue;
+      if (raw === "OR") {
+        if (groups[groups.length - 1].length > 0) groups.push([]);
+        continue;
+      }
 
-    if (query) {
-      list = list.filter((p) => {
-        const folder = state.folders.find((f) => f.id === p.folderId);
-        const isLockedByDB = (folder && folder.isLocked) || p.isLocked;
+      let term;
+      if (key === "tag") {
+        term = { type: "tag", value };
+      } else if (key === "folder") {
+        term = { type: "folder", value };
+      } else if (key === "is") {
+        term = { type: "is", value };
+      } else if (key === "in") {
+        if (SEARCH_TEXT_FIELDS.includes(value)) fields.add(value);
+        continue;
+      } else if (key === "created" || key === "modified") {
+        term = parseDateTerm(key, value);
+      } else {
+        const text = rawKey ? `${rawKey}:${quoted ?? plain}` : value;
+        term = {
+          type: "text",
+          value: text.toLowerCase(),
+          exact: quoted !== undefined,
+        };
+      }
+      if (!term || !term.value) continue;
+      term.negate = negate;
+      groups[groups.length - 1].push(term);
+    }
 
-        let searchableBody = "";
-        let searchableNotes = "";
+    return {
+      groups: groups.filter((group) => group.length > 0),
+      fields: fields.size > 0 ? [...fields] : SEARCH_TEXT_FIELDS,
+    };
+  }
 
-        if (!isLockedByDB) {
-          searchableBody = p.body || "";
-          searchableNotes = p.notes || "";
-        } else {
-          const cachedData = state.decryptedCache[p.id];
-          if (cachedData) {
-            searchableBody = cachedData.body || "";
-            searchableNotes = cachedData.notes || "";
-          }
+  function parseDateTerm(key, value) {
+    const match = value.match(
+      /^(>=|<=|>|<|=)?(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/
+    );
+    if (!match) return null;
+    const [, operator = "=", year, month, day] = match;
+    const start = new Date(Number(year), Number(month) - 1, Number(day || 1));
+    const end = day
+      ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1)
+      : new Date(start.getFullYear(), start.getMonth() + 1, 1);
+    return {
+      type: "date",
+      value,
+      field: key === "created" ? "dateCreated" : "dateModified",
+      operator,
+      start: start.getTime(),
+      end: end.getTime(),
+    };
+  }
+
+  function cacheDecryptedPrompt(promptId, body, notes) {
+    state.decryptedCache[promptId] = { body, notes };
+    updateSessionSearchEntry(promptId);
+  }
+
+  async function cacheDecryptedPrompts(prompts, password) {
+    const decrypted = await cryptRecords("decrypt", prompts, password);
+    prompts.forEach((p, i) =>
+      cacheDecryptedPrompt(p.id, decrypted[i].body, decrypted[i].notes)
+    );
+  }
+
+  function updateSessionSearchEntry(promptId) {
+    const meta = state.decryptedMeta[promptId];
+    const cached = state.decryptedCache[promptId];
+    const parts = [
+      meta?.title,
+      ...(meta?.tags || []),
+      cached?.body,
+      cached?.notes,
+    ];
+    SearchIndex.setSessionEntry(promptId, parts.filter(Boolean).join("\n"));
+  }
+
+  function clearDecryptedCache() {
+    state.decryptedCache = {};
+    SearchIndex.clearSession();
+    // Hidden titles and tags stay visible while their password is remembered.
+    Object.keys(state.decryptedMeta).forEach((id) => {
+      const prompt = state.prompts.find((p) => p.id === Number(id));
+      if (prompt && getKnownPassword(prompt)) {
+        updateSessionSearchEntry(prompt.id);
+      } else {
+        delete state.decryptedMeta[id];
+      }
+    });
+  }
+
+  function getLockKey(prompt) {
+    const folder = state.folders.find((f) => f.id === prompt.folderId);
+    if (folder && folder.isLocked) return `folder-${folder.id}`;
+    return prompt.isLocked ? `prompt-${prompt.id}` : null;
+  }
+
+  function getKnownPassword(prompt) {
+    const key = getLockKey(prompt);
+    if (!key) return null;
+    if (state.sessionPasswords[key]) return state.sessionPasswords[key];
+    return state.currentPromptLockInfo?.key === key
+      ? state.currentPromptLockInfo.password
+      : null;
+  }
+
+  // Hidden metadata: a lock with `hideMetadata` keeps the title and tags of
+  // its prompts (and their revisions) in an encrypted `meta` envelope, and
+  // stores an empty title and no tags in their place.
+  const HIDDEN_TITLE = "Locked Prompt";
+
+  function hidesMetadata(prompt) {
+    const folder = state.folders.find((f) => f.id === prompt.folderId);
+    if (folder && folder.isLocked) return !!folder.hideMetadata;
+    return !!(prompt.isLocked && prompt.hideMetadata);
+  }
+
+  async function hideRecordMeta(record, password) {
+    const meta = await CryptoService.encrypt(
+      JSON.stringify({ title: record.title || "", tags: record.tags || [] }),
+      password
+    );
+    if (typeof meta !== "object") throw new Error("Encryption failed");
+    record.meta = meta;
+    record.title = "";
+    record.tags = [];
+  }
+
+  async function decryptRecordMeta(record, password) {
+    if (!record.meta) return { title: record.title, tags: record.tags || [] };
+    const text = await CryptoService.decrypt(record.meta, password);
+    return text === null ? null : JSON.parse(text);
+  }
+
+  // Puts a record's title and tags back in the clear. Returns false if the
+  // password is wrong.
+  async function showRecordMeta(record, password) {
+    const meta = await decryptRecordMeta(record, password);
+    if (!meta) return false;
+    record.title = meta.title;
+    record.tags = meta.tags;
+    delete record.meta;
+    return true;
+  }
+
+  // Title and tags as they should be shown: hidden ones only once unlocked.
+  function getPromptMeta(prompt) {
+    if (!prompt.meta) return { title: prompt.title, tags: prompt.tags || [] };
+    return (
+      state.decryptedMeta[prompt.id] || { title: "", tags: [], hidden: true }
+    );
+  }
+
+  function getPromptDisplayTitle(prompt) {
+    const meta = getPromptMeta(prompt);
+    return meta.hidden ? HIDDEN_TITLE : meta.title || "Untitled Prompt";
+  }
+
+  async function revealPromptMeta(prompts) {
+    for (const prompt of prompts) {
+      if (!prompt.meta || state.decryptedMeta[prompt.id]) continue;
+      const password = getKnownPassword(prompt);
+      const meta = password && (await decryptRecordMeta(prompt, password));
+      if (!meta) continue;
+      state.decryptedMeta[prompt.id] = meta;
+      updateSessionSearchEntry(prompt.id);
+    }
+  }
+
+  // Folders and prompts whose password is remembered or whose content is
+  // open right now.
+  function getSessionLocks() {
+    const keys = new Set(Object.keys(state.sessionPasswords));
+    if (state.currentPromptLockInfo) keys.add(state.currentPromptLockInfo.key);
+    return [...keys].map((key) => {
+      const [type, id] = key.split("-");
+      const item =
+        type === "folder"
+          ? state.folders.find((f) => String(f.id) === id)
+          : state.prompts.find((p) => String(p.id) === id);
+      if (!item) return { key, type, name: key };
+      const name = type === "folder" ? item.name : getPromptDisplayTitle(item);
+      return { key, type, name };
+    });
+  }
+
+  // Forgets the passwords and decrypted content of the given locks, and
+  // closes the open prompt if it is behind one of them.
+  function lockSession(keys) {
+    keys.forEach((key) => delete state.sessionPasswords[key]);
+    const promptIds = state.prompts
+      .filter((p) => keys.includes(getLockKey(p)))
+      .map((p) => p.id);
+    promptIds.forEach((id) => {
+      delete state.decryptedCache[id];
+      delete state.decryptedMeta[id];
+      delete state.templateValues[id];
+    });
+    SearchIndex.clearSession(promptIds);
+    CryptoService.clearKeys();
+
+    if (keys.includes(state.currentPromptLockInfo?.key)) {
+      if (state.fullscreenTarget) handleCloseFullscreen();
+      closeHistoryPanel();
+      UI.promptBody.value = "";
+      UI.promptNotes.value = "";
+      state.currentPromptLockInfo = null;
+      _internalCloseDetailsView();
+    }
+    if (UI.sessionModal.classList.contains("show")) renderSessionList();
+    renderPrompts();
+  }
+
+  async function lockEverything() {
+    // A locked new prompt is kept as an encrypted draft, and its editor is
+    // closed before its password is forgotten.
+    if (state.isCreatingNew && state.newPromptLockInfo) {
+      await flushDraft();
+      if (state.fullscreenTarget) handleCloseFullscreen();
+      UI.promptBody.value = "";
+      UI.promptNotes.value = "";
+      state.newPromptLockInfo = null;
+      _internalCloseDetailsView();
+      CryptoService.clearKeys();
+    }
+    const keys = getSessionLocks().map((lock) => lock.key);
+    if (keys.length === 0 && Object.keys(state.decryptedCache).length === 0) {
+      return;
+    }
+    lockSession(keys);
+    clearDecryptedCache();
+  }
+
+  function recordActivity() {
+    state.lastActivity = Date.now();
+  }
+
+  function checkInactivity() {
+    const { timeoutMinutes } = state.autoLock;
+    if (!timeoutMinutes) return;
+    if (Date.now() - state.lastActivity >= timeoutMinutes * 60000) {
+      lockEverything();
+    }
+  }
+
+  function handleVisibilityChange() {
+    if (document.hidden) flushDraft();
+    if (document.hidden && state.autoLock.lockOnHidden) lockEverything();
+  }
+
+  function handleBeforeUnload(e) {
+    if (!isEditorDirty()) return;
+    e.preventDefault();
+    e.returnValue = "";
+  }
+
+  function openSessionModal() {
+    UI.autoLockSelect.value = String(state.autoLock.timeoutMinutes);
+    UI.lockOnHiddenCb.checked = state.autoLock.lockOnHidden;
+    renderSessionList();
+    showModal(UI.sessionModal);
+  }
+
+  function renderSessionList() {
+    const locks = getSessionLocks();
+    UI.sessionList.innerHTML =
+      locks.length === 0
+        ? '<p style="text-align: center; color: var(--text-secondary);">Nothing is unlocked.</p>'
+        : locks
+            .map(
+              (lock) => `
+                <div class="session-item" data-key="${escapeHTML(lock.key)}">
+                    <span class="session-item-name">${escapeHTML(
+                      lock.name
+                    )}</span>
+                    <span class="session-item-type">${
+                      lock.type === "folder" ? "Folder" : "Prompt"
+                    }</span>
+                    <button class="session-lock-btn">Lock Now</button>
+                </div>
+            `
+            )
+            .join("");
+    UI.lockAllBtn.disabled = locks.length === 0;
+  }
+
+  async function saveAutoLockSettings() {
+    state.autoLock = {
+      timeoutMinutes: Number(UI.autoLockSelect.value),
+      lockOnHidden: UI.lockOnHiddenCb.checked,
+    };
+    await DB.put(DB.STORES.SETTINGS, {
+      key: "autoLock",
+      value: state.autoLock,
+    });
+  }
+
+  // Plaintext that may be stored in the persistent search index. Content of
+  // locked prompts is left out so it never reaches IndexedDB unencrypted.
+  function getIndexableText(p) {
+    const folder = state.folders.find((f) => f.id === p.folderId);
+    const isLocked = p.isLocked || (folder && folder.isLocked);
+    const parts = [p.title, (p.tags || []).join(" ")];
+    if (!isLocked) parts.push(p.body, p.notes);
+    return parts.filter((part) => typeof part === "string").join("\n");
+  }
+
+  function updateSearchIndex(prompts) {
+    return SearchIndex.update(prompts, getIndexableText);
+  }
+
+  function getSearchableFields(p) {
+    const folder = state.folders.find((f) => f.id === p.folderId);
+    const isLockedByDB = (folder && folder.isLocked) || p.isLocked;
+
+    let body = "";
+    let notes = "";
+
+    if (!isLockedByDB) {
+      body = p.body || "";
+      notes = p.notes || "";
+    } else {
+      const cachedData = state.decryptedCache[p.id];
+      if (cachedData) {
+        body = cachedData.body || "";
+        notes = cachedData.notes || "";
+      }
+    }
+
+    const meta = getPromptMeta(p);
+    return {
+      title: meta.title || "",
+      tags: meta.tags.join(" "),
+      body,
+      notes,
+    };
+  }
+
+  // Returns the text hits ({ field, text, score }) of a term, or null if the
+  // prompt does not match it. Filters that match have no hits.
+  function matchSearchTerm(term, p, searchable, fields) {
+    switch (term.type) {
+      case "tag":
+        return getPromptMeta(p).tags.some((t) => t.toLowerCase() === term.value)
+          ? []
+          : null;
+      case "folder": {
+        const matchingFolders = state.folders.filter(
+          (f) => f.name.toLowerCase() === term.value
+        );
+        return matchingFolders.some((f) =>
+          getFolderSubtreeIds(f.id).has(p.folderId)
+        )
+          ? []
+          : null;
+      }
+      case "is": {
+        const folder = state.folders.find((f) => f.id === p.folderId);
+        const isLocked = !!(p.isLocked || (folder && folder.isLocked));
+        const flags = {
+          favorite: !!p.isFavorite,
+          fav: !!p.isFavorite,
+          locked: isLocked,
+          unlocked: !isLocked,
+        };
+        // Unknown values match nothing.
+        return Object.hasOwn(flags, term.value) && flags[term.value]
+          ? []
+          : null;
+      }
+      case "date": {
+        const time = p[term.field] || 0;
+        const inRange = {
+          "=": time >= term.start && time < term.end,
+          ">": time >= term.end,
+          ">=": time >= term.start,
+          "<": time < term.start,
+          "<=": time < term.end,
+        }[term.operator];
+        return inRange ? [] : null;
+      }
+      default: {
+        const hits = [];
+        fields.forEach((field) => {
+          const hit = fuzzyMatchText(term.value, searchable[field], term.exact);
+          if (hit) hits.push({ field, ...hit });
+        });
+        return hits.length > 0 ? hits : null;
+      }
+    }
+  }
+
+  // Evaluates a parsed query against a prompt. Returns null when it does not
+  // match, otherwise the matched text in each field and a relevance score.
+  function matchSearchQuery(parsedQuery, p) {
+    const searchable = getSearchableFields(p);
+    let matchedTerms = null;
+    let score = 0;
+
+    for (const group of parsedQuery.groups) {
+      const groupTerms = { title: [], tags: [], body: [], notes: [] };
+      let groupScore = 0;
+      const groupMatches = group.every((term) => {
+        const hits = matchSearchTerm(term, p, searchable, parsedQuery.fields);
+        if (term.negate) return hits === null;
+        if (hits === null) return false;
+        hits.forEach((hit) => {
+          groupTerms[hit.field].push(hit.text);
+          groupScore += SEARCH_FIELD_WEIGHTS[hit.field] * hit.score;
+        });
+        return true;
+      });
+      if (!groupMatches) continue;
+      score = Math.max(score, groupScore);
+      if (!matchedTerms) matchedTerms = groupTerms;
+      else {
+        Object.keys(groupTerms).forEach((field) =>
+          matchedTerms[field].push(...groupTerms[field])
+        );
+      }
+    }
+
+    if (!matchedTerms) return null;
+    return { terms: matchedTerms, score, searchable };
+  }
+
+  // Optimal string alignment distance, giving up once it exceeds maxDistance.
+  function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(
+          prev[j] + 1,
+          current[j - 1] + 1,
+          prev[j - 1] + cost
+        );
+        if (
+          prevPrev &&
+          i > 1 &&
+          j > 1 &&
+          a[i - 1] === b[j - 2] &&
+          a[i - 2] === b[j - 1]
+        ) {
+          value = Math.min(value, prevPrev[j - 2] + 1);
         }
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > maxDistance) return maxDistance + 1;
+      prevPrev = prev;
+      prev = current;
+    }
+    return prev[b.length];
+  }
 
-        const titleMatch = (p.title || "").toLowerCase().includes(query);
-        const bodyMatch = searchableBody.toLowerCase().includes(query);
-        const notesMatch = searchableNotes.toLowerCase().includes(query);
-        const tagMatch = (p.tags || []).join(" ").toLowerCase().includes(query);
-
-        if (titleMatch || bodyMatch || notesMatch || tagMatch) {
-          p.matchContext = ""; // Reset context
-          if (bodyMatch) {
-            p.matchContext = createMatchSnippet(searchableBody, query);
-          } else if (notesMatch) {
-            p.matchContext = createMatchSnippet(searchableNotes, query);
-          }
-          return true;
+  function getMaxTypoDistance(word) {
+    if (word.length < 4) return 0;
+    return word.length < 7 ? 1 : 2;
+  }
+
+  // Matches a search term against text, first as a substring and then word by
+  // word allowing for typos and unfinished words. Returns the matched text and
+  // a score between 0 and 1, or null.
+  function fuzzyMatchText(term, text, exact = false) {
+    if (!text) return null;
+    const index = text.toLowerCase().indexOf(term);
+    if (index > -1) {
+      return { text: text.substr(index, term.length), score: 1 };
+    }
+    const maxDistance = getMaxTypoDistance(term);
+    if (exact || maxDistance === 0 || /\s/.test(term)) return null;
+
+    let best = null;
+    const seen = new Set();
+    for (const [word] of text.matchAll(/[\p{L}\p{N}_]+/gu)) {
+      const lowerWord = word.toLowerCase();
+      if (seen.has(lowerWord)) continue;
+      seen.add(lowerWord);
+
+      let distance = editDistance(term, lowerWord, maxDistance);
+      let penalty = 0.9;
+      if (distance > maxDistance && lowerWord.length > term.length) {
+        // Allow typos in the beginning of a longer word ("sumar" -> "summarize")
+        for (let extra = 0; extra <= 1; extra++) {
+          const prefix = lowerWord.slice(0, term.length + extra);
+          distance = Math.min(
+            distance,
+            editDistance(term, prefix, maxDistance)
+          );
         }
-        return false;
-      });
-      if (state.view.type !== "search") {
-        state.view = { type: "search" };
-        renderSidebarNav();
+        penalty = 0.7;
+      }
+      if (distance > maxDistance) continue;
+
+      const score = (1 - distance / (term.length + 1)) * penalty;
+      if (!best || score > best.score) best = { text: word, score };
+    }
+    return best;
+  }
+
+  // Switches to relevance sorting while a query is active and restores the
+  // previous sort order once the query is cleared.
+  function syncSortWithSearch(isSearching) {
+    if (isSearching && state.sortBeforeSearch === null) {
+      state.sortBeforeSearch = state.sortBy;
+      state.sortBy = "relevance_desc";
+    } else if (!isSearching && state.sortBeforeSearch !== null) {
+      if (state.sortBy === "relevance_desc") {
+        state.sortBy = state.sortBeforeSearch;
       }
-    } else if (state.view.type === "tag") {
-      list = list.filter((p) => (p.tags || []).includes(state.view.id));
+      state.sortBeforeSearch = null;
+    }
+    UI.sortBy.value = state.sortBy;
+  }
+
+  function getFilteredAndSortedPrompts() {
+    let list = [...state.prompts];
+    const query = getSearchQuery();
+
+    if (state.view.type === "tag") {
+      list = list.filter((p) => getPromptMeta(p).tags.includes(state.view.id));
     } else if (state.view.type === "folder") {
       if (state.view.id === "favorites")
         list = list.filter((p) => p.isFavorite);
@@ -818,16 +2998,66 @@ document.addEventListener("DOMContentLoaded", () => {
             p.isLocked ||
             state.folders.find((f) => f.id === p.folderId)?.isLocked
         );
-      else if (state.view.id !== "all")
-        list = list.filter((p) => p.folderId === state.view.id);
+      else if (state.view.id !== "all") {
+        const folderIds = getFolderSubtreeIds(state.view.id);
+        list = list.filter((p) => folderIds.has(p.folderId));
+      }
+    }
+
+    state.searchMatches = {};
+    const parsedQuery = query ? parseSearchQuery(query) : null;
+    const isSearching = !!parsedQuery && parsedQuery.groups.length > 0;
+    if (isSearching) {
+      const candidateIds = SearchIndex.getCandidates(parsedQuery);
+      if (candidateIds) list = list.filter((p) => candidateIds.has(p.id));
+      list = list.filter((p) => {
+        const match = matchSearchQuery(parsedQuery, p);
+        if (!match) return false;
+
+        const { terms, searchable } = match;
+        let context = "";
+        if (terms.body.length > 0) {
+          context = createMatchSnippet(searchable.body, terms.body);
+        } else if (terms.notes.length > 0) {
+          context = createMatchSnippet(searchable.notes, terms.notes);
+        }
+        state.searchMatches[p.id] = {
+          titleTerms: terms.title,
+          context,
+          score: match.score,
+        };
+        return true;
+      });
+    }
+
+    syncSortWithSearch(isSearching);
+    let sortBy = state.sortBy;
+    if (sortBy === "relevance_desc" && !isSearching) {
+      sortBy = state.sortBeforeSearch || "dateCreated_desc";
+    }
+    if (sortBy === "relevance_desc") {
+      return list.sort(
+        (a, b) =>
+          state.searchMatches[b.id].score - state.searchMatches[a.id].score ||
+          b.dateCreated - a.dateCreated
+      );
+    }
+    const [sortKey, sortDir] = sortBy.split("_");
+    if (
+      sortKey === "tokens" &&
+      !Tokenizer.isLoaded(state.tokenSettings.model)
+    ) {
+      Tokenizer.load(state.tokenSettings.model).then(renderPrompts, () => {});
     }
-    const [sortKey, sortDir] = state.sortBy.split("_");
     list.sort((a, b) => {
       let valA = a[sortKey],
         valB = b[sortKey];
       if (sortKey === "title") {
-        valA = (valA || "").toLowerCase();
-        valB = (valB || "").toLowerCase();
+        valA = (getPromptMeta(a).title || "").toLowerCase();
+        valB = (getPromptMeta(b).title || "").toLowerCase();
+      } else if (sortKey === "tokens") {
+        valA = getPromptTokenCount(a) ?? -1;
+        valB = getPromptTokenCount(b) ?? -1;
       }
       if (valA < valB) return sortDir === "asc" ? -1 : 1;
       if (valA > valB) return sortDir === "asc" ? 1 : -1;
@@ -836,8 +3066,28 @@ document.addEventListener("DOMContentLoaded", () => {
     return list;
   }
 
+  // The prompt list only keeps the rows around the viewport in the DOM. Rows
+  // are keyed by prompt id and recycled as the list scrolls.
+  const PROMPT_ROW_ESTIMATED_HEIGHT = 72;
+  const PROMPT_ROW_OVERSCAN = 8;
+  const promptListView = {
+    prompts: [],
+    rows: new Map(), // prompt id -> { li, html }
+    pool: [],
+    heights: new Map(),
+    topSpacer: null,
+    bottomSpacer: null,
+    frame: null,
+  };
+
   function renderPrompts() {
-    UI.promptList.querySelectorAll("li").forEach((li) => li.remove());
+    const isTrashView = state.view.type === "trash";
+    UI.promptListContainer.classList.toggle("trash-active", isTrashView);
+    if (isTrashView) {
+      UI.newPromptPlaceholder.classList.remove("visible");
+      renderTrash();
+      return;
+    }
     const promptsToRender = getFilteredAndSortedPrompts();
     UI.newPromptPlaceholder.classList.toggle(
       "visible",
@@ -845,70 +3095,155 @@ document.addEventListener("DOMContentLoaded", () => {
         !UI.search.value.trim() &&
         !UI.mobileSearchInput.value.trim()
     );
-    promptsToRender.forEach((prompt) => {
-      const li = document.createElement("li");
-      li.dataset.id = prompt.id;
-      li.setAttribute("draggable", "true");
-      li.classList.toggle(
-        "active",
-        prompt.id === state.currentPromptId && !state.isSelectMode
-      );
-      li.classList.toggle(
-        "selected",
-        state.isSelectMode && state.selectedPromptIds.has(prompt.id)
-      );
+    promptListView.prompts = promptsToRender;
+    renderPromptWindow();
+  }
 
-      const folder = state.folders.find((f) => f.id === prompt.folderId);
-      const isLocked = (folder && folder.isLocked) || prompt.isLocked;
-      const lockIcon = isLocked
-        ? `<svg class="lock-icon"><use href="#icon-lock"></use></svg>`
-        : "";
+  function schedulePromptWindowRender() {
+    if (promptListView.frame) return;
+    promptListView.frame = requestAnimationFrame(() => {
+      promptListView.frame = null;
+      renderPromptWindow();
+    });
+  }
 
-      const query = getSearchQuery();
-      let titleHTML = prompt.title || "Untitled Prompt";
-      let contextHTML = "";
+  function renderPromptWindow() {
+    const view = promptListView;
+    if (!view.topSpacer) {
+      view.topSpacer = document.createElement("div");
+      view.bottomSpacer = document.createElement("div");
+      view.topSpacer.className = view.bottomSpacer.className =
+        "prompt-list-spacer";
+      UI.promptList.append(view.topSpacer, view.bottomSpacer);
+    }
 
-      if (query) {
-        const escapedQuery = query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-        const regex = new RegExp(`(${escapedQuery})`, "gi");
+    const prompts = view.prompts;
+    const offsets = new Array(prompts.length + 1);
+    offsets[0] = 0;
+    prompts.forEach((prompt, i) => {
+      offsets[i + 1] =
+        offsets[i] +
+        (view.heights.get(prompt.id) || PROMPT_ROW_ESTIMATED_HEIGHT);
+    });
 
-        titleHTML = titleHTML.replace(regex, "<mark>$1</mark>");
+    const scrollTop = UI.promptList.scrollTop;
+    const viewportHeight = UI.promptList.clientHeight || window.innerHeight;
+    let start = 0;
+    while (start < prompts.length && offsets[start + 1] <= scrollTop) start++;
+    let end = start;
+    while (end < prompts.length && offsets[end] < scrollTop + viewportHeight)
+      end++;
+    start = Math.max(0, start - PROMPT_ROW_OVERSCAN);
+    end = Math.min(prompts.length, end + PROMPT_ROW_OVERSCAN);
+
+    const visiblePrompts = prompts.slice(start, end);
+    const visibleIds = new Set(visiblePrompts.map((p) => p.id));
+    view.rows.forEach((row, id) => {
+      if (visibleIds.has(id)) return;
+      row.li.remove();
+      row.li.classList.remove("dragging");
+      view.pool.push(row.li);
+      view.rows.delete(id);
+    });
 
-        if (prompt.matchContext) {
-          contextHTML = `<div class="prompt-match-context">${prompt.matchContext}</div>`;
-        }
+    let next = view.topSpacer.nextSibling;
+    visiblePrompts.forEach((prompt) => {
+      let row = view.rows.get(prompt.id);
+      if (!row) {
+        row = { li: view.pool.pop() || document.createElement("li"), html: "" };
+        view.rows.set(prompt.id, row);
       }
+      updatePromptRow(row, prompt);
+      if (row.li === next) next = next.nextSibling;
+      else UI.promptList.insertBefore(row.li, next);
+    });
 
-      li.innerHTML = `
-                <div class="prompt-info">
-                    <span class="prompt-list-title">${titleHTML}</span>
-                    ${contextHTML}
-                    <div class="prompt-list-tags">${(prompt.tags || [])
-                      .map(
-                        (tag) =>
-                          `<span class="prompt-list-tag" data-tag="${tag}">${tag}</span>`
-                      )
-                      .join("")}</div>
-                </div>
-                <div class="prompt-actions">
-                    ${lockIcon}
-                    <button class="quick-copy-btn" title="Copy Prompt" data-id="${
-                      prompt.id
-                    }">
-                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="copy-icon"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>
-                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="check-icon" style="display: none;"><polyline points="20 6 9 17 4 12"></polyline></svg>
-                    </button>
-                    <span class="favorite-toggle ${
-                      prompt.isFavorite ? "active" : ""
-                    }" data-id="${prompt.id}" title="Toggle Favorite">
-                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2l3.09 6.26L22 9.27l-5 4.87L18.18 22 12 18.77 5.82 22 7 14.14 2 9.27l6.91-1.01L12 2z"></path></svg>
-                    </span>
-                </div>`;
-      UI.promptList.appendChild(li);
+    view.topSpacer.style.height = `${offsets[start]}px`;
+    view.bottomSpacer.style.height = `${
+      offsets[prompts.length] - offsets[end]
+    }px`;
+
+    visiblePrompts.forEach((prompt) => {
+      const height = view.rows.get(prompt.id).li.offsetHeight;
+      if (height > 0) view.heights.set(prompt.id, height);
     });
   }
 
+  function updatePromptRow(row, prompt) {
+    const { li } = row;
+    li.dataset.id = prompt.id;
+    li.setAttribute("draggable", "true");
+    li.classList.toggle(
+      "active",
+      prompt.id === state.currentPromptId && !state.isSelectMode
+    );
+    li.classList.toggle(
+      "selected",
+      state.isSelectMode && state.selectedPromptIds.has(prompt.id)
+    );
+    const html = getPromptRowHTML(prompt);
+    if (row.html !== html) {
+      li.innerHTML = html;
+      row.html = html;
+    }
+  }
+
+  function getPromptRowHTML(prompt) {
+    const folder = state.folders.find((f) => f.id === prompt.folderId);
+    const isLocked = (folder && folder.isLocked) || prompt.isLocked;
+    const lockIcon = isLocked
+      ? `<svg class="lock-icon"><use href="#icon-lock"></use></svg>`
+      : "";
+
+    const isCopied = !!state.quickCopyTimeouts[prompt.id];
+
+    const searchMatch = state.searchMatches[prompt.id];
+    const meta = getPromptMeta(prompt);
+    const titleHTML = meta.hidden
+      ? `<em class="prompt-list-hidden-title">${HIDDEN_TITLE}</em>`
+      : highlightTerms(
+          meta.title || "Untitled Prompt",
+          searchMatch ? searchMatch.titleTerms : []
+        );
+    const contextHTML = searchMatch?.context
+      ? `<div class="prompt-match-context">${searchMatch.context}</div>`
+      : "";
+
+    return `
+              <div class="prompt-info">
+                  <span class="prompt-list-title">${titleHTML}</span>
+                  ${contextHTML}
+                  <div class="prompt-list-tags">${meta.tags
+                    .map(
+                      (tag) =>
+                        `<span class="prompt-list-tag" data-tag="${tag}">${tag}</span>`
+                    )
+                    .join("")}</div>
+              </div>
+              <div class="prompt-actions">
+                  ${lockIcon}
+                  <button class="quick-copy-btn ${
+                    isCopied ? "copied" : ""
+                  }" title="Copy Prompt" data-id="${prompt.id}">
+                      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="copy-icon" style="display: ${
+                        isCopied ? "none" : "block"
+                      };"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>
+                      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="check-icon" style="display: ${
+                        isCopied ? "block" : "none"
+                      };"><polyline points="20 6 9 17 4 12"></polyline></svg>
+                  </button>
+                  <span class="favorite-toggle ${
+                    prompt.isFavorite ? "active" : ""
+                  }" data-id="${prompt.id}" title="Toggle Favorite">
+                      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2l3.09 6.26L22 9.27l-5 4.87L18.18 22 12 18.77 5.82 22 7 14.14 2 9.27l6.91-1.01L12 2z"></path></svg>
+                  </span>
+              </div>`;
+  }
+
   async function renderPromptDetails(show, temporaryPassword = null) {
+    flushDraft();
+    closeHistoryPanel();
+    state.currentPromptLockInfo = null;
     if (show) {
       UI.noPromptSelected.style.display = "none";
       UI.promptDetails.style.display = "flex";
@@ -925,7 +3260,10 @@ document.addEventListener("DOMContentLoaded", () => {
             : "all";
         UI.promptLockSwitch.checked = !!state.newPromptLockInfo;
         UI.promptLockSwitch.disabled = false;
+        UI.changePromptPasswordBtn.style.display = "none";
+        UI.promptHideMetaContainer.style.display = "none";
         loadTags([]);
+        renderIncludeUsage(null);
       } else {
         const prompt = state.prompts.find(
           (p) => p.id === state.currentPromptId
@@ -947,7 +3285,9 @@ document.addEventListener("DOMContentLoaded", () => {
             const item = isLockedByFolder ? folder : prompt;
 
             const result = await ModalService.password(
-              `Enter password for ${itemType} "${item.name || item.title}"`,
+              `Enter password for ${itemType} "${
+                isLockedByFolder ? item.name : getPromptDisplayTitle(item)
+              }"`,
               {
                 validate: async (pwd) => {
                   if (!pwd) return false;
@@ -966,26 +3306,18 @@ document.addEventListener("DOMContentLoaded", () => {
               if (result.remember) {
                 state.sessionPasswords[key] = password;
               }
+              upgradeLockEncryption(
+                isLockedByFolder ? { folder } : { prompt },
+                password
+              );
 
               // Cache decrypted content
-              if (isLockedByFolder) {
-                const promptsToCache = state.prompts.filter(
-                  (p) => p.folderId === folder.id
-                );
-                for (const p of promptsToCache) {
-                  const body = await CryptoService.decrypt(p.body, password);
-                  const notes = await CryptoService.decrypt(p.notes, password);
-                  state.decryptedCache[p.id] = { body, notes };
-                }
-              } else {
-                // Locked individually
-                const body = await CryptoService.decrypt(prompt.body, password);
-                const notes = await CryptoService.decrypt(
-                  prompt.notes,
-                  password
-                );
-                state.decryptedCache[prompt.id] = { body, notes };
-              }
+              await cacheDecryptedPrompts(
+                isLockedByFolder
+                  ? state.prompts.filter((p) => p.folderId === folder.id)
+                  : [prompt],
+                password
+              );
             } else {
               // If password was cancelled, close the prompt details view
               _internalCloseDetailsView();
@@ -993,7 +3325,19 @@ document.addEventListener("DOMContentLoaded", () => {
             }
           }
 
-          UI.promptTitle.value = prompt.title;
+          if (isLocked) {
+            state.currentPromptLockInfo = { key, password };
+            await revealPromptMeta(
+              isLockedByFolder
+                ? state.prompts.filter((p) => p.folderId === folder.id)
+                : [prompt]
+            );
+            renderPrompts();
+            renderSidebarTags();
+          }
+
+          const meta = getPromptMeta(prompt);
+          UI.promptTitle.value = meta.title;
           UI.promptBody.value = isLocked
             ? await CryptoService.decrypt(prompt.body, password)
             : prompt.body;
@@ -1004,78 +3348,319 @@ document.addEventListener("DOMContentLoaded", () => {
 
           UI.promptLockSwitch.checked = isLockedIndividually;
           UI.promptLockSwitch.disabled = isLockedByFolder;
-
-          loadTags(prompt.tags || []);
+          UI.changePromptPasswordBtn.style.display = isLockedIndividually
+            ? ""
+            : "none";
+          UI.promptHideMetaContainer.style.display = isLockedIndividually
+            ? ""
+            : "none";
+          UI.promptHideMetaSwitch.checked = !!prompt.hideMetadata;
+
+          loadTags(meta.tags);
+          renderIncludeUsage(prompt);
         }
       }
       // Render folder dropdown after setting the folder value
       renderFolderDropdown();
       updateCharCounter();
+      markEditorClean();
+      await restoreDraft();
     } else {
       UI.noPromptSelected.style.display = "flex";
       UI.promptDetails.style.display = "none";
+      state.editorBaseline = null;
+      updateDirtyIndicator();
     }
   }
 
-  function renderFolderDropdown() {
-    const selectedFolderId = UI.promptFolder.value;
-    const selectedFolder = state.folders.find((f) => f.id == selectedFolderId);
-    const isLocked = selectedFolder?.isLocked ? "🔓 " : "";
-    UI.promptFolderValue.textContent = selectedFolder
-      ? `${isLocked}${selectedFolder.name}`
-      : "No Folder";
-    UI.promptFolderValue.dataset.value = selectedFolderId || "all";
+  // Drafts: editor contents are written to the drafts store shortly after
+  // each change, keyed by prompt id (or NEW_PROMPT_DRAFT_KEY for a prompt
+  // that was never saved), and removed once the prompt is saved. Drafts of
+  // locked prompts are encrypted with the lock's password.
+  const DRAFT_SAVE_DELAY = 500;
+  const NEW_PROMPT_DRAFT_KEY = "new";
 
-    UI.promptFolderOptions.innerHTML = `<div class="custom-select-option create-new" data-value="--create-new--">Create New Folder</div>`;
-    UI.promptFolderOptions.innerHTML += `<div class="custom-select-option" data-value="all">No Folder</div>`;
-    state.folders.forEach((folder) => {
-      const lockIcon = folder.isLocked ? "🔓 " : "";
-      const option = document.createElement("div");
-      option.className = "custom-select-option";
-      option.dataset.value = folder.id;
-      option.textContent = `${lockIcon}${folder.name}`;
-      if (folder.id == selectedFolderId) {
-        option.classList.add("active");
-      }
-      UI.promptFolderOptions.appendChild(option);
-    });
+  function getDraftKey() {
+    if (state.isCreatingNew) return NEW_PROMPT_DRAFT_KEY;
+    return state.currentPromptId;
   }
 
-  function _internalCloseDetailsView() {
-    const animationDuration =
-      parseFloat(
-        getComputedStyle(document.documentElement).getPropertyValue(
-          "--animation-duration"
-        )
-      ) * 1000;
-    if (window.innerWidth > 768) {
-      UI.promptDetails.classList.add("closing");
+  // Returns { key, password } for an encrypted draft, null for a plain one,
+  // or undefined when the draft belongs in a locked folder whose password is
+  // not known, so it is not stored at all.
+  function getDraftLock() {
+    if (state.isCreatingNew && state.newPromptLockInfo) {
+      return {
+        key: NEW_PROMPT_DRAFT_KEY,
+        password: state.newPromptLockInfo.password,
+      };
     }
-    UI.app.classList.remove("details-visible-mobile");
-    setTimeout(async () => {
-      if (window.innerWidth > 768) UI.promptDetails.classList.remove("closing");
-      const currentActive = UI.promptList.querySelector(
-        `li[data-id="${state.currentPromptId}"]`
-      );
-      if (currentActive) currentActive.classList.remove("active");
-      state.isCreatingNew = false;
-      state.currentPromptId = null;
-      state.newPromptLockInfo = null; // Clear lock info for new prompts
-
-      // Clear decrypted cache when closing prompt details
-      state.decryptedCache = {};
+    if (state.currentPromptLockInfo) return { ...state.currentPromptLockInfo };
+    const folder = state.folders.find(
+      (f) => String(f.id) === UI.promptFolder.value
+    );
+    if (!folder || !folder.isLocked) return null;
+    const key = `folder-${folder.id}`;
+    const password = state.sessionPasswords[key];
+    return password ? { key, password } : undefined;
+  }
 
-      renderPromptDetails(false);
-    }, animationDuration);
+  function getEditorContent() {
+    const { isLocked, ...content } = getPromptDetailsState();
+    return content;
   }
 
-  function _internalCloseSidebar() {
-    UI.app.classList.remove("sidebar-is-open");
-    UI.sidebar.classList.remove("visible");
-    UI.sidebarOverlay.classList.remove("visible");
+  // The editor is read right away, so opening another prompt before the
+  // write can't mix up their contents.
+  function scheduleDraftSave() {
+    updateDirtyIndicator();
+    const key = getDraftKey();
+    if (key === null) return;
+    state.pendingDraft = {
+      key,
+      content: getEditorContent(),
+      lock: getDraftLock(),
+      dateModified: Date.now(),
+    };
+    clearTimeout(state.draftTimeout);
+    state.draftTimeout = setTimeout(flushDraft, DRAFT_SAVE_DELAY);
   }
 
-  function openPromptDetailsView(
+  function flushDraft() {
+    clearTimeout(state.draftTimeout);
+    const draft = state.pendingDraft;
+    state.pendingDraft = null;
+    if (!draft || draft.lock === undefined) return state.draftWrite;
+    if (
+      draft.key !== NEW_PROMPT_DRAFT_KEY &&
+      !state.prompts.some((p) => p.id === draft.key)
+    ) {
+      return state.draftWrite;
+    }
+    state.draftWrite = writeDraft(draft);
+    return state.draftWrite;
+  }
+
+  // Returns null if the content could not be encrypted.
+  async function createDraftRecord({ key, content, lock, dateModified }) {
+    const record = { promptId: key, dateModified };
+    if (lock) {
+      const encrypted = await CryptoService.encrypt(
+        JSON.stringify(content),
+        lock.password
+      );
+      if (typeof encrypted !== "object") return null;
+      record.lockKey = lock.key;
+      record.encrypted = encrypted;
+    } else {
+      record.content = content;
+    }
+    return record;
+  }
+
+  async function writeDraft(draft) {
+    const record = await createDraftRecord(draft);
+    if (record) await DB.put(DB.STORES.DRAFTS, record);
+  }
+
+  // Keeps stored drafts encrypted like their prompts whenever a prompt is
+  // locked, unlocked or moved between locked folders.
+  async function rewrapDrafts(promptIds, oldPassword, newPassword) {
+    await DB.bulkPut(
+      DB.STORES.DRAFTS,
+      await getRewrappedDrafts(promptIds, oldPassword, newPassword)
+    );
+  }
+
+  // The drafts of these prompts encrypted with the new password, for callers
+  // that write them along with the prompts. Throws if one can't be encrypted.
+  async function getRewrappedDrafts(promptIds, oldPassword, newPassword) {
+    await flushDraft();
+    const records = [];
+    for (const promptId of promptIds) {
+      const draft = await DB.get(DB.STORES.DRAFTS, promptId);
+      const content = draft && (await decryptDraft(draft, oldPassword));
+      if (!content) continue;
+      const prompt = state.prompts.find((p) => p.id === promptId);
+      const record = await createDraftRecord({
+        key: promptId,
+        content,
+        lock: newPassword
+          ? { key: prompt && getLockKey(prompt), password: newPassword }
+          : null,
+        dateModified: draft.dateModified,
+      });
+      if (!record) throw new Error("Encryption failed");
+      records.push(record);
+    }
+    return records;
+  }
+
+  async function discardDraft(key) {
+    if (state.pendingDraft?.key === key) {
+      clearTimeout(state.draftTimeout);
+      state.pendingDraft = null;
+    }
+    await state.draftWrite;
+    await DB.remove(DB.STORES.DRAFTS, key);
+  }
+
+  function getDraftPassword(draft) {
+    if (draft.lockKey === state.currentPromptLockInfo?.key) {
+      return state.currentPromptLockInfo.password;
+    }
+    if (draft.lockKey === NEW_PROMPT_DRAFT_KEY) {
+      return state.newPromptLockInfo?.password || null;
+    }
+    return state.sessionPasswords[draft.lockKey] || null;
+  }
+
+  async function decryptDraft(draft, password) {
+    if (!draft.encrypted) return draft.content;
+    const text = await CryptoService.decrypt(draft.encrypted, password);
+    return text === null ? null : JSON.parse(text);
+  }
+
+  // Called whenever the editor is filled in. A draft newer than the saved
+  // prompt is offered the first time the prompt is opened, and put back
+  // silently when the editor is re-rendered while it stays open.
+  async function restoreDraft() {
+    const key = getDraftKey();
+    if (key === null || state.isOfferingDraft) return;
+    const isReopened = state.draftKey !== key;
+    const draft = await DB.get(DB.STORES.DRAFTS, key);
+    const prompt = state.prompts.find((p) => p.id === key);
+    if (draft && prompt && draft.dateModified <= prompt.dateModified) {
+      await discardDraft(key);
+      return;
+    }
+    if (!draft || getDraftKey() !== key) {
+      state.draftKey = key;
+      return;
+    }
+    let password = draft.encrypted ? getDraftPassword(draft) : null;
+    // A locked prompt's draft waits until its password is known.
+    if (draft.encrypted && !password && key !== NEW_PROMPT_DRAFT_KEY) return;
+    const canDecrypt = !draft.encrypted || !!password;
+    let content = canDecrypt ? await decryptDraft(draft, password) : null;
+    if (
+      content &&
+      JSON.stringify(content) === JSON.stringify(getEditorContent())
+    ) {
+      state.draftKey = key;
+      return;
+    }
+
+    if (isReopened) {
+      state.isOfferingDraft = true;
+      const date = formatRevisionDate(draft.dateModified);
+      const confirmed = await ModalService.confirm(
+        key === NEW_PROMPT_DRAFT_KEY
+          ? `You have an unsaved new prompt from ${date}. Would you like to restore it?`
+          : `This prompt has unsaved changes from ${date}. Would you like to restore them?`,
+        { title: "Restore Draft", confirmBtnText: "Restore" }
+      );
+      if (confirmed && !content) {
+        const result = await ModalService.password(
+          "Enter the password of the unsaved prompt to restore it.",
+          {
+            rememberOption: false,
+            validate: async (pwd) =>
+              !!pwd && (await decryptDraft(draft, pwd)) !== null,
+          }
+        );
+        if (result) {
+          password = result.password;
+          content = await decryptDraft(draft, password);
+        }
+      }
+      state.isOfferingDraft = false;
+      if (getDraftKey() !== key) return;
+      state.draftKey = key;
+      if (!confirmed) {
+        await discardDraft(key);
+        return;
+      }
+    }
+    state.draftKey = key;
+    if (!content) return;
+    if (draft.encrypted && key === NEW_PROMPT_DRAFT_KEY) {
+      state.newPromptLockInfo = { password };
+    }
+    setPromptDetailsState({
+      ...content,
+      isLocked: state.isCreatingNew
+        ? !!state.newPromptLockInfo
+        : UI.promptLockSwitch.checked,
+    });
+    if (!state.folders.some((f) => String(f.id) === UI.promptFolder.value)) {
+      UI.promptFolder.value = "all";
+    }
+    renderFolderDropdown();
+  }
+
+  function renderFolderDropdown() {
+    const selectedFolderId = UI.promptFolder.value;
+    const selectedFolder = state.folders.find((f) => f.id == selectedFolderId);
+    const isLocked = selectedFolder?.isLocked ? "🔓 " : "";
+    UI.promptFolderValue.textContent = selectedFolder
+      ? `${isLocked}${selectedFolder.name}`
+      : "No Folder";
+    UI.promptFolderValue.dataset.value = selectedFolderId || "all";
+
+    UI.promptFolderOptions.innerHTML = `<div class="custom-select-option create-new" data-value="--create-new--">Create New Folder</div>`;
+    UI.promptFolderOptions.innerHTML += `<div class="custom-select-option" data-value="all">No Folder</div>`;
+    getFolderTree().forEach(({ folder, depth }) => {
+      const option = document.createElement("div");
+      option.className = "custom-select-option";
+      option.dataset.value = folder.id;
+      option.textContent = getFolderOptionLabel(folder, depth);
+      if (folder.id == selectedFolderId) {
+        option.classList.add("active");
+      }
+      UI.promptFolderOptions.appendChild(option);
+    });
+  }
+
+  function _internalCloseDetailsView() {
+    flushDraft();
+    state.editorBaseline = null;
+    const animationDuration =
+      parseFloat(
+        getComputedStyle(document.documentElement).getPropertyValue(
+          "--animation-duration"
+        )
+      ) * 1000;
+    if (window.innerWidth > 768) {
+      UI.promptDetails.classList.add("closing");
+    }
+    UI.app.classList.remove("details-visible-mobile");
+    setTimeout(async () => {
+      if (window.innerWidth > 768) UI.promptDetails.classList.remove("closing");
+      const currentActive = UI.promptList.querySelector(
+        `li[data-id="${state.currentPromptId}"]`
+      );
+      if (currentActive) currentActive.classList.remove("active");
+      state.isCreatingNew = false;
+      state.currentPromptId = null;
+      state.newPromptLockInfo = null; // Clear lock info for new prompts
+      state.currentPromptLockInfo = null;
+      state.draftKey = null;
+
+      // Clear decrypted cache when closing prompt details
+      clearDecryptedCache();
+
+      renderPromptDetails(false);
+    }, animationDuration);
+  }
+
+  function _internalCloseSidebar() {
+    UI.app.classList.remove("sidebar-is-open");
+    UI.sidebar.classList.remove("visible");
+    UI.sidebarOverlay.classList.remove("visible");
+  }
+
+  function openPromptDetailsView(
     isNew,
     promptId = null,
     temporaryPassword = null
@@ -1127,18 +3712,128 @@ document.addEventListener("DOMContentLoaded", () => {
     if (text && !state.currentTags.includes(text)) {
       state.currentTags.push(text);
       renderTags();
+      scheduleDraftSave();
     }
   }
   function removeTag(tagText) {
     state.currentTags = state.currentTags.filter((t) => t !== tagText);
     renderTags();
+    scheduleDraftSave();
   }
   function loadTags(tagsArray) {
     state.currentTags = [...(tagsArray || [])];
     renderTags();
   }
   function updateCharCounter() {
-    UI.charCounter.textContent = `${UI.promptBody.value.length} characters`;
+    UI.charCount.textContent = `${UI.promptBody.value.length} characters`;
+    scheduleTokenCount();
+    UI.previewIncludesBtn.style.display = extractIncludeTitles(
+      UI.promptBody.value
+    ).length
+      ? ""
+      : "none";
+  }
+  // Token counts for the editor: the body, the body with its includes
+  // expanded (locked includes only once their password is known) and the
+  // selection. The total is checked against the budget set in Settings.
+  const scheduleTokenCount = debounce(renderTokenCount, 150);
+
+  async function renderTokenCount() {
+    const { model, budget } = state.tokenSettings;
+    if (!Tokenizer.isLoaded(model)) {
+      UI.tokenCount.textContent = "";
+      Tokenizer.load(model).then(renderTokenCount, () => {});
+      return;
+    }
+    const body = UI.promptBody.value;
+    const bodyTokens = Tokenizer.count(body, model);
+    const parts = [formatTokenCount(bodyTokens)];
+    let totalTokens = bodyTokens;
+    if (extractIncludeTitles(body).length > 0) {
+      try {
+        const expanded = await expandIncludes(
+          body,
+          state.currentPromptId,
+          getKnownIncludedBody
+        );
+        if (UI.promptBody.value !== body) return;
+        totalTokens = Tokenizer.count(expanded, model);
+        parts.push(`${totalTokens.toLocaleString("en-US")} with includes`);
+      } catch (err) {
+        parts.push("include cycle");
+      }
+    }
+    const { selectionStart, selectionEnd } = UI.promptBody;
+    if (selectionEnd > selectionStart) {
+      const selected = body.slice(selectionStart, selectionEnd);
+      parts.push(
+        `${Tokenizer.count(selected, model).toLocaleString("en-US")} selected`
+      );
+    }
+    const isOverBudget = budget > 0 && totalTokens > budget;
+    UI.tokenCount.textContent = parts.map((part) => ` · ${part}`).join("");
+    UI.tokenCount.title = `Counted for ${Tokenizer.MODELS[model].label}`;
+    UI.charCounter.classList.toggle("over-budget", isOverBudget);
+    UI.charCounter.title = isOverBudget
+      ? `Over the ${budget.toLocaleString("en-US")}-token budget`
+      : "";
+  }
+
+  function formatTokenCount(count) {
+    return `${count.toLocaleString("en-US")} ${
+      count === 1 ? "token" : "tokens"
+    }`;
+  }
+
+  // Used for sorting. Locked prompts are only counted while decrypted.
+  function getPromptTokenCount(prompt) {
+    const { model } = state.tokenSettings;
+    const body = getLockKey(prompt)
+      ? state.decryptedCache[prompt.id]?.body
+      : prompt.body;
+    if (typeof body !== "string") return null;
+    const cached = state.tokenCounts.get(prompt.id);
+    if (
+      cached &&
+      cached.model === model &&
+      cached.dateModified === prompt.dateModified
+    ) {
+      return cached.count;
+    }
+    const count = Tokenizer.count(body, model);
+    if (count === null) return null;
+    state.tokenCounts.set(prompt.id, {
+      model,
+      dateModified: prompt.dateModified,
+      count,
+    });
+    return count;
+  }
+
+  function renderTokenSettings() {
+    UI.tokenModelSelect.innerHTML = Object.entries(Tokenizer.MODELS)
+      .map(
+        ([model, { label }]) =>
+          `<option value="${model}">${escapeHTML(label)}</option>`
+      )
+      .join("");
+    UI.tokenModelSelect.value = state.tokenSettings.model;
+    UI.tokenBudgetInput.value = state.tokenSettings.budget || "";
+  }
+
+  async function handleTokenSettingsChange() {
+    const budget = Math.max(0, Math.floor(Number(UI.tokenBudgetInput.value)));
+    state.tokenSettings = {
+      model: UI.tokenModelSelect.value,
+      budget: Number.isFinite(budget) ? budget : 0,
+    };
+    UI.tokenBudgetInput.value = state.tokenSettings.budget || "";
+    await DB.put(DB.STORES.SETTINGS, {
+      key: "tokens",
+      value: state.tokenSettings,
+    });
+    renderTokenCount();
+    if (state.sortBy === "tokens_desc") renderPrompts();
   }
 
   function toggleSelectMode() {
@@ -1216,28 +3911,58 @@ document.addEventListener("DOMContentLoaded", () => {
     UI.promptLockSwitch.checked = details.isLocked;
     loadTags(details.tags);
     updateCharCounter();
+    updateDirtyIndicator();
+  }
+
+  function debounce(fn, delay) {
+    let timeout = null;
+    return (...args) => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => fn(...args), delay);
+    };
   }
 
+  const handleSearchInput = debounce(() => updateUI(), 150);
+
   function attachEventListeners() {
-    UI.newPromptBtn.addEventListener("click", () =>
-      openPromptDetailsView(true)
-    );
+    UI.newPromptBtn.addEventListener("click", handleNewPrompt);
     UI.mobileNewPromptFab.addEventListener("click", () => {
       if (UI.app.classList.contains("fullscreen-active"))
         handleCloseFullscreen();
       else if (UI.app.classList.contains("details-visible-mobile"))
         history.back();
-      else openPromptDetailsView(true);
+      else handleNewPrompt();
     });
     document
       .getElementById("new-prompt-placeholder-btn")
-      .addEventListener("click", () => openPromptDetailsView(true));
+      .addEventListener("click", handleNewPrompt);
     UI.savePromptBtn.addEventListener("click", handleSavePrompt);
-    UI.deletePromptBtn.addEventListener("click", handleDeletePrompt);
+    UI.deletePromptBtn.addEventListener(
+      "click",
+      withUndo("Prompt moved to Trash", handleDeletePrompt)
+    );
+    UI.historyPromptBtn.addEventListener("click", () => {
+      if (UI.promptHistory.classList.contains("visible")) closeHistoryPanel();
+      else openHistoryPanel();
+    });
+    UI.closeHistoryBtn.addEventListener("click", closeHistoryPanel);
+    UI.historyCompareFrom.addEventListener("change", renderRevisionDiff);
+    UI.historyCompareTo.addEventListener("change", renderRevisionDiff);
+    UI.historyList.addEventListener("click", handleHistoryListClick);
     UI.promptLockSwitch.addEventListener("change", handlePromptLockToggle);
-    UI.search.addEventListener("input", () => updateUI());
-    UI.mobileSearchInput.addEventListener("input", () => updateUI());
+    UI.changePromptPasswordBtn.addEventListener(
+      "click",
+      handleChangePromptPassword
+    );
+    UI.promptHideMetaSwitch.addEventListener(
+      "change",
+      handlePromptHideMetaToggle
+    );
+    UI.search.addEventListener("input", handleSearchInput);
+    UI.mobileSearchInput.addEventListener("input", handleSearchInput);
     UI.copyPromptBtn.addEventListener("click", handleCopyPrompt);
+    UI.previewIncludesBtn.addEventListener("click", handlePreviewIncludes);
+    UI.promptUsedByList.addEventListener("click", handleUsedByClick);
     UI.expandPromptBtn.addEventListener("click", () =>
       handleOpenFullscreen("prompt")
     );
@@ -1280,16 +4005,23 @@ document.addEventListener("DOMContentLoaded", () => {
     });
     UI.selectModeBtn.addEventListener("click", toggleSelectMode);
     UI.selectAllBtn.addEventListener("click", handleSelectAll);
-    UI.bulkDeleteBtn.addEventListener("click", handleBulkDelete);
+    UI.bulkDeleteBtn.addEventListener(
+      "click",
+      withUndo("Prompts moved to Trash", handleBulkDelete)
+    );
     UI.bulkMoveBtn.addEventListener("click", handleBulkMove);
     UI.bulkExportBtn.addEventListener("click", handleBulkExport);
     UI.importFileInput.addEventListener("change", handleImport);
     UI.backToTopBtn.addEventListener("click", () =>
       UI.promptList.scrollTo({ top: 0, behavior: "smooth" })
     );
-    UI.promptList.addEventListener("scroll", () =>
-      UI.backToTopBtn.classList.toggle("visible", UI.promptList.scrollTop > 300)
-    );
+    UI.promptList.addEventListener("scroll", () => {
+      UI.backToTopBtn.classList.toggle(
+        "visible",
+        UI.promptList.scrollTop > 300
+      );
+      schedulePromptWindowRender();
+    });
     UI.sidebarToggle.addEventListener("click", (e) => {
       e.stopPropagation();
       openMobileSidebar();
@@ -1305,6 +4037,12 @@ document.addEventListener("DOMContentLoaded", () => {
       updateUI();
     });
     UI.promptBody.addEventListener("input", updateCharCounter);
+    ["select", "keyup", "mouseup"].forEach((type) =>
+      UI.promptBody.addEventListener(type, scheduleTokenCount)
+    );
+    [UI.promptTitle, UI.promptBody, UI.promptNotes].forEach((field) =>
+      field.addEventListener("input", scheduleDraftSave)
+    );
     UI.tagsContainer.addEventListener("click", (e) => {
       if (e.target.classList.contains("remove-tag"))
         removeTag(e.target.dataset.tag);
@@ -1327,8 +4065,16 @@ document.addEventListener("DOMContentLoaded", () => {
       "click",
       handleSaveAndCloseFullscreen
     );
-    UI.saveRenameBtn.addEventListener("click", handleRenameFolder);
+    UI.saveRenameBtn.addEventListener(
+      "click",
+      withUndo("Folder updated", handleRenameFolder)
+    );
     UI.toggleLockFolderBtn.addEventListener("click", handleToggleFolderLock);
+    UI.changeFolderPasswordBtn.addEventListener(
+      "click",
+      handleChangeFolderPassword
+    );
+    UI.folderHideMetaCb.addEventListener("change", handleFolderHideMetaToggle);
     UI.deleteFolderFromSettingsBtn.addEventListener(
       "click",
       handleDeleteFolderTrigger
@@ -1347,13 +4093,13 @@ document.addEventListener("DOMContentLoaded", () => {
       .getElementById("confirm-delete-folder-move-prompts")
       .addEventListener("click", () => {
         hideModal(UI.deleteFolderModal);
-        handleDeleteFolderMove();
+        recordUndo("Folder deleted", handleDeleteFolderMove);
       });
     document
       .getElementById("confirm-delete-folder-and-prompts")
       .addEventListener("click", () => {
         hideModal(UI.deleteFolderModal);
-        handleDeleteFolderAndPrompts();
+        recordUndo("Folder deleted", handleDeleteFolderAndPrompts);
       });
     document
       .getElementById("cancel-delete-folder-btn")
@@ -1361,7 +4107,7 @@ document.addEventListener("DOMContentLoaded", () => {
     document
       .getElementById("confirm-move-btn")
       .addEventListener("click", () => {
-        handleConfirmMove();
+        recordUndo("Prompts moved", handleConfirmMove);
       });
     document
       .getElementById("cancel-move-btn")
@@ -1370,6 +4116,14 @@ document.addEventListener("DOMContentLoaded", () => {
       "change",
       handleMoveFolderSelectChange
     );
+    UI.trashList.addEventListener("click", handleTrashListClick);
+    UI.undoToastBtn.addEventListener("click", handleUndoToastClick);
+    document.addEventListener("keydown", handleUndoShortcut);
+    UI.emptyTrashBtn.addEventListener("click", handleEmptyTrash);
+    UI.trashRetentionSelect.addEventListener(
+      "change",
+      handleTrashRetentionChange
+    );
     document
       .getElementById("confirm-reset-btn")
       .addEventListener("click", () => {
@@ -1396,7 +4150,61 @@ document.addEventListener("DOMContentLoaded", () => {
       hideModal(UI.settingsModal);
       UI.importFileInput.click();
     });
-    UI.exportBtnModal.addEventListener("click", handleExport);
+    UI.exportBtnModal.addEventListener("click", () => {
+      hideModal(UI.settingsModal);
+      handleExport();
+    });
+
+    UI.vaultBtnModal.addEventListener("click", () => {
+      hideModal(UI.settingsModal);
+      handleToggleVault();
+    });
+    UI.lockAppBtn.addEventListener("click", handleLockApp);
+    UI.kdfIterationsSelect.addEventListener(
+      "change",
+      handleKdfIterationsChange
+    );
+    UI.tokenModelSelect.addEventListener("change", handleTokenSettingsChange);
+    UI.tokenBudgetInput.addEventListener("change", handleTokenSettingsChange);
+
+    // Session Modal
+    UI.sessionBtnModal.addEventListener("click", () => {
+      hideModal(UI.settingsModal);
+      openSessionModal();
+    });
+    UI.closeSessionModalBtn.addEventListener("click", () =>
+      hideModal(UI.sessionModal)
+    );
+    UI.sessionModal.addEventListener("click", (e) => {
+      if (e.target === UI.sessionModal) hideModal(UI.sessionModal);
+    });
+    UI.sessionList.addEventListener("click", (e) => {
+      const item = e.target.closest(".session-lock-btn")
+        ? e.target.closest(".session-item")
+        : null;
+      if (item) lockSession([item.dataset.key]);
+    });
+    UI.lockAllBtn.addEventListener("click", lockEverything);
+    UI.autoLockSelect.addEventListener("change", saveAutoLockSettings);
+    UI.lockOnHiddenCb.addEventListener("change", saveAutoLockSettings);
+
+    // Auto-lock
+    ["pointerdown", "keydown", "mousemove", "wheel", "touchstart"].forEach(
+      (type) =>
+        document.addEventListener(type, recordActivity, {
+          capture: true,
+          passive: true,
+        })
+    );
+    setInterval(checkInactivity, AUTO_LOCK_CHECK_INTERVAL);
+    setInterval(async () => {
+      const count = state.trash.length;
+      await purgeTrash();
+      if (state.trash.length !== count) updateUI();
+    }, TRASH_PURGE_INTERVAL);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    window.addEventListener("pagehide", flushDraft);
+    window.addEventListener("beforeunload", handleBeforeUnload);
 
     UI.resetDataBtnModal.addEventListener("click", () => {
       hideModal(UI.settingsModal);
@@ -1413,6 +4221,14 @@ document.addEventListener("DOMContentLoaded", () => {
     });
     UI.manageTagsList.addEventListener("click", handleTagActionClick);
 
+    UI.closeIncludePreviewBtn.addEventListener("click", () =>
+      hideModal(UI.includePreviewModal)
+    );
+    UI.includePreviewModal.addEventListener("click", (e) => {
+      if (e.target === UI.includePreviewModal)
+        hideModal(UI.includePreviewModal);
+    });
+
     // Tag selection in manage tags modal
     UI.manageTagsList.addEventListener("click", (e) => {
       const tagItem = e.target.closest(".tag-manage-item");
@@ -1452,6 +4268,12 @@ document.addEventListener("DOMContentLoaded", () => {
         if (e.key === "Enter")
           document.getElementById("generic-modal-confirm-btn").click();
       });
+    document.getElementById("form-modal").addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && e.target.tagName === "INPUT") {
+        e.preventDefault();
+        document.getElementById("form-modal-confirm-btn").click();
+      }
+    });
 
     // Custom Folder Dropdown
     UI.promptFolderValue.addEventListener("click", () =>
@@ -1469,12 +4291,14 @@ document.addEventListener("DOMContentLoaded", () => {
     UI.primaryNavList.addEventListener("dragover", handleDragOver);
     UI.primaryNavList.addEventListener("dragleave", handleDragLeave);
     UI.primaryNavList.addEventListener("drop", handleDrop);
+    UI.folderList.addEventListener("dragstart", handleFolderDragStart);
     UI.folderList.addEventListener("dragover", handleDragOver);
     UI.folderList.addEventListener("dragleave", handleDragLeave);
     UI.folderList.addEventListener("drop", handleDrop);
     document.body.addEventListener("dragend", handleDragEnd);
 
     window.addEventListener("resize", initResize);
+    window.addEventListener("resize", schedulePromptWindowRender);
   }
 
   function handleDragStart(e) {
@@ -1499,11 +4323,20 @@ document.addEventListener("DOMContentLoaded", () => {
     }, 0);
   }
 
+  function handleFolderDragStart(e) {
+    const li = e.target.closest("li[data-type='folder']");
+    if (!li) return;
+    e.dataTransfer.setData("application/x-promptcat-folder", li.dataset.id);
+    e.dataTransfer.effectAllowed = "move";
+    setTimeout(() => {
+      li.classList.add("dragging");
+    }, 0);
+  }
+
   function handleDragEnd(e) {
-    const draggingLi = UI.promptList.querySelector("li.dragging");
-    if (draggingLi) {
-      draggingLi.classList.remove("dragging");
-    }
+    document
+      .querySelectorAll("#prompt-list li.dragging, #folder-list li.dragging")
+      .forEach((li) => li.classList.remove("dragging"));
   }
 
   function handleDragOver(e) {
@@ -1521,7 +4354,7 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  async function handleDrop(e) {
+  function handleDrop(e) {
     e.preventDefault();
     const li = e.target.closest("li");
     if (!li) return;
@@ -1529,18 +4362,34 @@ document.addEventListener("DOMContentLoaded", () => {
     li.classList.remove("drag-over");
 
     const targetId = li.dataset.id;
-    if (targetId === "favorites" || targetId === "locked") {
+    if (["favorites", "locked", "trash"].includes(targetId)) {
       return; // Cannot drop into these special views
     }
 
+    // The drag data can only be read while the event is being dispatched,
+    // not once an earlier action has finished.
+    const draggedFolderId =
+      Number(e.dataTransfer.getData("application/x-promptcat-folder")) || null;
     const promptId = Number(e.dataTransfer.getData("text/plain"));
     const folderId = targetId === "all" ? null : Number(targetId);
+    recordUndo("Item moved", () =>
+      moveDroppedItem(draggedFolderId, promptId, folderId)
+    );
+  }
+
+  async function moveDroppedItem(draggedFolderId, promptId, folderId) {
+    if (draggedFolderId) {
+      if (folderId === draggedFolderId) return;
+      if (await moveFolder(draggedFolderId, folderId)) updateUI();
+      return;
+    }
 
     const prompt = state.prompts.find((p) => p.id === promptId);
     if (prompt) {
       prompt.folderId = folderId;
       prompt.dateModified = Date.now();
       await DB.put(DB.STORES.PROMPTS, prompt);
+      await updateSearchIndex([prompt]);
       updateUI();
     }
   }
@@ -1548,7 +4397,7 @@ document.addEventListener("DOMContentLoaded", () => {
   function openManageTagsModal() {
     const allTags = [
       ...new Set([
-        ...state.prompts.flatMap((p) => p.tags || []),
+        ...state.prompts.flatMap((p) => getPromptMeta(p).tags),
         ...state.globalTags,
       ]),
     ].sort();
@@ -1559,7 +4408,7 @@ document.addEventListener("DOMContentLoaded", () => {
     } else {
       allTags.forEach((tag) => {
         const promptCount = state.prompts.filter((p) =>
-          (p.tags || []).includes(tag)
+          getPromptMeta(p).tags.includes(tag)
         ).length;
         const item = document.createElement("div");
         item.className = "tag-manage-item";
@@ -1599,7 +4448,9 @@ document.addEventListener("DOMContentLoaded", () => {
       );
 
       if (newTagName && newTagName.trim() !== "" && newTagName !== oldTagName) {
-        await handleRenameTag(oldTagName, newTagName.trim());
+        await recordUndo("Tag renamed", () =>
+          handleRenameTag(oldTagName, newTagName.trim())
+        );
         openManageTagsModal(); // Refresh the modal
       }
     } else if (action === "delete") {
@@ -1613,7 +4464,7 @@ document.addEventListener("DOMContentLoaded", () => {
       );
 
       if (confirmed) {
-        await handleDeleteTag(oldTagName);
+        await recordUndo("Tag deleted", () => handleDeleteTag(oldTagName));
         openManageTagsModal(); // Refresh the modal
       }
     }
@@ -1632,18 +4483,26 @@ document.addEventListener("DOMContentLoaded", () => {
     await DB.put(DB.STORES.TAGS, { id: newName });
 
     // Update prompts
-    const promptsToUpdate = [];
-    state.prompts.forEach((p) => {
-      if (p.tags && p.tags.includes(oldName)) {
-        p.tags = p.tags.map((t) => (t === oldName ? newName : t));
-        // Ensure no duplicates if newName already existed
-        p.tags = [...new Set(p.tags)];
-        promptsToUpdate.push(p);
-      }
+    const taggedIds = new Set(
+      (await DB.getAllByIndex(DB.STORES.PROMPTS, "tags", oldName)).map(
+        (p) => p.id
+      )
+    );
+    const promptsToUpdate = state.prompts.filter((p) => taggedIds.has(p.id));
+    promptsToUpdate.forEach((p) => {
+      p.tags = p.tags.map((t) => (t === oldName ? newName : t));
+      // Ensure no duplicates if newName already existed
+      p.tags = [...new Set(p.tags)];
     });
+    promptsToUpdate.push(
+      ...(await updateHiddenTags(oldName, (tags) => [
+        ...new Set(tags.map((t) => (t === oldName ? newName : t))),
+      ]))
+    );
 
     if (promptsToUpdate.length > 0) {
       await DB.bulkPut(DB.STORES.PROMPTS, promptsToUpdate);
+      await updateSearchIndex(promptsToUpdate);
     }
 
     // Update current view if it was the renamed tag
@@ -1665,22 +4524,49 @@ document.addEventListener("DOMContentLoaded", () => {
     updateUI();
   }
 
+  // Hidden tags can only be changed where the password is known this
+  // session; other prompts keep the tag until they are next edited.
+  async function updateHiddenTags(tagName, changeTags) {
+    const updated = [];
+    for (const p of state.prompts) {
+      const meta = p.meta && state.decryptedMeta[p.id];
+      const password = meta && getKnownPassword(p);
+      if (!password || !meta.tags.includes(tagName)) continue;
+      const tags = changeTags(meta.tags);
+      p.title = meta.title;
+      p.tags = tags;
+      await hideRecordMeta(p, password);
+      state.decryptedMeta[p.id] = { title: meta.title, tags };
+      updateSessionSearchEntry(p.id);
+      updated.push(p);
+    }
+    return updated;
+  }
+
   async function handleDeleteTag(tagName) {
     // Remove from global tags
     state.globalTags = state.globalTags.filter((t) => t !== tagName);
     await DB.remove(DB.STORES.TAGS, tagName);
 
     // Remove from prompts
-    const promptsToUpdate = [];
-    state.prompts.forEach((p) => {
-      if (p.tags && p.tags.includes(tagName)) {
-        p.tags = p.tags.filter((t) => t !== tagName);
-        promptsToUpdate.push(p);
-      }
+    const taggedIds = new Set(
+      (await DB.getAllByIndex(DB.STORES.PROMPTS, "tags", tagName)).map(
+        (p) => p.id
+      )
+    );
+    const promptsToUpdate = state.prompts.filter((p) => taggedIds.has(p.id));
+    promptsToUpdate.forEach((p) => {
+      p.tags = p.tags.filter((t) => t !== tagName);
     });
+    promptsToUpdate.push(
+      ...(await updateHiddenTags(tagName, (tags) =>
+        tags.filter((t) => t !== tagName)
+      ))
+    );
 
     if (promptsToUpdate.length > 0) {
       await DB.bulkPut(DB.STORES.PROMPTS, promptsToUpdate);
+      await updateSearchIndex(promptsToUpdate);
     }
 
     // If the current view is the deleted tag, switch to 'all'
@@ -1717,6 +4603,13 @@ document.addEventListener("DOMContentLoaded", () => {
       });
       return;
     }
+    if (isDetailsOpen && isEditorDirty()) {
+      history.pushState({ appState: "details" }, "");
+      confirmLeaveEditor().then((canLeave) => {
+        if (canLeave) history.back();
+      });
+      return;
+    }
     if (isDetailsOpen) _internalCloseDetailsView();
     else if (isSidebarOpen) _internalCloseSidebar();
     state.isLeaving = false;
@@ -1750,6 +4643,7 @@ document.addEventListener("DOMContentLoaded", () => {
     } else if (state.fullscreenTarget === "notes") {
       UI.promptNotes.value = UI.fullscreenPromptTextarea.value;
     }
+    scheduleDraftSave();
     handleCloseFullscreen();
   }
 
@@ -1767,8 +4661,9 @@ document.addEventListener("DOMContentLoaded", () => {
       });
       if (folderName && folderName.trim()) {
         const newFolder = {
-          id: Date.now(),
+          id: createItemId(),
           name: folderName.trim(),
+          parentId: null,
           isLocked: false,
         };
         await DB.put(DB.STORES.FOLDERS, newFolder);
@@ -1776,14 +4671,104 @@ document.addEventListener("DOMContentLoaded", () => {
         renderSidebarNav();
         UI.promptFolder.value = newFolder.id;
         renderFolderDropdown();
+        scheduleDraftSave();
       }
     } else {
       UI.promptFolder.value = value;
       renderFolderDropdown();
+      scheduleDraftSave();
     }
   }
 
+  // Unsaved changes: the editor is compared with what it held when the prompt
+  // was loaded or last saved.
+  function markEditorClean() {
+    state.editorBaseline = getEditorContent();
+    updateDirtyIndicator();
+  }
+
+  function isEditorDirty() {
+    if (!state.editorBaseline) return false;
+    if (
+      !state.isCreatingNew &&
+      !state.prompts.some((p) => p.id === state.currentPromptId)
+    ) {
+      return false;
+    }
+    return (
+      JSON.stringify(getEditorContent()) !==
+      JSON.stringify(state.editorBaseline)
+    );
+  }
+
+  function updateDirtyIndicator() {
+    const isDirty = isEditorDirty();
+    UI.savePromptBtn.classList.toggle("unsaved", isDirty);
+    UI.savePromptBtn.title = isDirty ? "Unsaved changes" : "";
+  }
+
+  // Asks to save or discard unsaved changes before leaving the editor.
+  // Resolves false when the user chooses to stay.
+  async function confirmLeaveEditor() {
+    if (!isEditorDirty()) return true;
+    const choice = await ModalService.show({
+      modalId: "unsaved-changes-modal",
+    });
+    if (choice === "alt") {
+      await discardDraft(getDraftKey());
+      markEditorClean();
+      return true;
+    }
+    if (!choice || !(await savePromptFromEditor())) return false;
+    renderSidebarNav();
+    renderSidebarTags();
+    renderPrompts();
+    return true;
+  }
+
+  async function handleNewPrompt() {
+    if (!(await confirmLeaveEditor())) return;
+    openPromptDetailsView(true);
+  }
+
   async function handleSavePrompt() {
+    const savedPrompt = await savePromptFromEditor();
+    if (!savedPrompt) return;
+
+    if (window.innerWidth <= 768 && history.state?.appState === "details") {
+      history.back();
+    } else {
+      _internalCloseDetailsView();
+    }
+    updateUI();
+  }
+
+  // Asks for a locked folder's password when a new prompt is saved into it
+  // before the folder was unlocked this session.
+  async function getFolderPasswordForSave(folder) {
+    const known = state.sessionPasswords[`folder-${folder.id}`];
+    if (known) return known;
+    const result = await ModalService.password(
+      `Enter password for "${escapeHTML(
+        folder.name
+      )}" to save this prompt in it`,
+      {
+        validate: async (pw) =>
+          (await CryptoService.decrypt(folder.passwordCheck, pw)) ===
+          String(folder.id),
+      }
+    );
+    if (!result) return null;
+    if (result.remember) {
+      state.sessionPasswords[`folder-${folder.id}`] = result.password;
+    }
+    return result.password;
+  }
+
+  // Writes the editor contents to the DB and records a revision. Returns the
+  // saved prompt, or null if there was nothing to save.
+  async function savePromptFromEditor() {
+    const draftKey = getDraftKey();
     const title = UI.promptTitle.value.trim();
     const body = UI.promptBody.value;
     const notes = UI.promptNotes.value.trim();
@@ -1793,7 +4778,7 @@ document.addEventListener("DOMContentLoaded", () => {
         "Prompt cannot be completely empty.",
         "Cannot Save"
       );
-      return;
+      return null;
     }
 
     const now = Date.now();
@@ -1803,24 +4788,36 @@ document.addEventListener("DOMContentLoaded", () => {
         ? null
         : Number(UI.promptFolder.value);
     let promptToSave;
+    let lockPassword = null;
 
     if (state.isCreatingNew) {
       promptToSave = {
-        id: now,
+        id: createItemId(),
         dateCreated: now,
-        isFavorite: false,
+        isFavorite: 0,
         isLocked: false,
       };
 
+      // A locked folder's password wins over the prompt's own, as it does
+      // for saved prompts.
+      const folder = state.folders.find((f) => f.id === folderId);
+      if (folder && folder.isLocked) {
+        lockPassword = await getFolderPasswordForSave(folder);
+        if (!lockPassword) return null;
+      } else if (state.newPromptLockInfo) {
+        lockPassword = state.newPromptLockInfo.password;
+      }
       if (state.newPromptLockInfo) {
         const password = state.newPromptLockInfo.password;
         promptToSave.isLocked = true;
-        promptToSave.body = await CryptoService.encrypt(body, password);
-        promptToSave.notes = await CryptoService.encrypt(notes, password);
         promptToSave.passwordCheck = await CryptoService.encrypt(
           String(promptToSave.id),
           password
         );
+      }
+      if (lockPassword) {
+        promptToSave.body = await CryptoService.encrypt(body, lockPassword);
+        promptToSave.notes = await CryptoService.encrypt(notes, lockPassword);
       } else {
         promptToSave.body = body;
         promptToSave.notes = notes;
@@ -1829,9 +4826,17 @@ document.addEventListener("DOMContentLoaded", () => {
     } else {
       promptToSave = state.prompts.find((p) => p.id === state.currentPromptId);
       const folder = state.folders.find((f) => f.id === folderId);
+      const lockKey =
+        folder && folder.isLocked
+          ? `folder-${folderId}`
+          : `prompt-${promptToSave.id}`;
       const password =
         state.sessionPasswords[`folder-${folderId}`] ||
-        state.sessionPasswords[`prompt-${promptToSave.id}`];
+        state.sessionPasswords[`prompt-${promptToSave.id}`] ||
+        (state.currentPromptLockInfo?.key === lockKey
+          ? state.currentPromptLockInfo.password
+          : null);
+      lockPassword = password;
 
       if (password) {
         promptToSave.body = await CryptoService.encrypt(body, password);
@@ -1846,15 +4851,293 @@ document.addEventListener("DOMContentLoaded", () => {
     promptToSave.folderId = folderId;
     promptToSave.tags = state.currentTags;
     promptToSave.dateModified = now;
+    delete promptToSave.meta;
+    if (lockPassword && hidesMetadata(promptToSave)) {
+      await hideRecordMeta(promptToSave, lockPassword);
+      state.decryptedMeta[promptToSave.id] = {
+        title,
+        tags: [...state.currentTags],
+      };
+      updateSessionSearchEntry(promptToSave.id);
+    }
 
     await DB.put(DB.STORES.PROMPTS, promptToSave);
+    await DB.put(DB.STORES.REVISIONS, createRevision(promptToSave));
+    await updateSearchIndex([promptToSave]);
+    await discardDraft(draftKey);
+    markEditorClean();
+    return promptToSave;
+  }
 
-    if (window.innerWidth <= 768 && history.state?.appState === "details") {
-      history.back();
-    } else {
-      _internalCloseDetailsView();
-    }
-    updateUI();
+  function createRevision(prompt) {
+    return {
+      promptId: prompt.id,
+      dateCreated: prompt.dateModified,
+      title: prompt.title,
+      body: prompt.body,
+      notes: prompt.notes,
+      tags: [...(prompt.tags || [])],
+      folderId: prompt.folderId,
+      ...(prompt.meta ? { meta: prompt.meta } : {}),
+    };
+  }
+
+  // Keeps stored revisions encrypted with the same password as their prompt
+  // whenever a prompt is locked, unlocked or moved between locked folders.
+  // `hideMeta` says whether the new lock hides titles and tags. Revisions that
+  // don't decrypt are reported and left alone; returns how many there were.
+  async function reencryptRevisions(
+    promptIds,
+    oldPassword,
+    newPassword,
+    hideMeta = false
+  ) {
+    if (!oldPassword && !newPassword) return;
+    const revisions = [];
+    for (const promptId of promptIds) {
+      revisions.push(
+        ...(await DB.getAllByIndex(DB.STORES.REVISIONS, "promptId", promptId))
+      );
+    }
+    const decrypted = await cryptRecords("decrypt", revisions, oldPassword);
+    const updated = [];
+    let failed = 0;
+    for (const [i, revision] of revisions.entries()) {
+      const { body, notes } = decrypted[i];
+      if (
+        body === null ||
+        notes === null ||
+        !(await showRecordMeta(revision, oldPassword))
+      ) {
+        failed++;
+        continue;
+      }
+      Object.assign(revision, { body, notes });
+      if (hideMeta && newPassword) await hideRecordMeta(revision, newPassword);
+      updated.push(revision);
+    }
+    const encrypted = await cryptRecords("encrypt", updated, newPassword);
+    updated.forEach((revision, i) => Object.assign(revision, encrypted[i]));
+    await DB.bulkPut(DB.STORES.REVISIONS, updated);
+    await rewrapDrafts(promptIds, oldPassword, newPassword);
+    if (failed > 0) {
+      await ModalService.alert(
+        `${failed} saved revision(s) could not be decrypted with this password and were left unchanged, so they may no longer open in History.`,
+        "Some Revisions Not Updated"
+      );
+    }
+    return failed;
+  }
+
+  async function openHistoryPanel() {
+    if (state.isCreatingNew || !state.currentPromptId) {
+      await ModalService.alert(
+        "Save this prompt first to start its history.",
+        "No History Yet"
+      );
+      return;
+    }
+    const revisions = await DB.getAllByIndex(
+      DB.STORES.REVISIONS,
+      "promptId",
+      state.currentPromptId
+    );
+    const password = state.currentPromptLockInfo?.password;
+    for (const revision of revisions) {
+      if (revision.meta && password) await showRecordMeta(revision, password);
+    }
+    state.historyRevisions = revisions.sort(
+      (a, b) => b.dateCreated - a.dateCreated
+    );
+    state.decryptedRevisions = {};
+    UI.promptHistory.classList.add("visible");
+    renderHistoryPanel();
+    UI.promptHistory.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+
+  function closeHistoryPanel() {
+    UI.promptHistory.classList.remove("visible");
+    state.historyRevisions = [];
+    state.decryptedRevisions = {};
+  }
+
+  function formatRevisionDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+  }
+
+  function renderHistoryPanel() {
+    const revisions = state.historyRevisions;
+    UI.historyList.innerHTML = "";
+    UI.historyCompareFrom.innerHTML = "";
+    UI.historyCompareTo.innerHTML = "";
+
+    if (revisions.length === 0) {
+      UI.historyList.innerHTML = `<li class="history-empty">No revisions saved yet.</li>`;
+      UI.historyDiff.innerHTML = "";
+      return;
+    }
+
+    revisions.forEach((revision, index) => {
+      const label = `${formatRevisionDate(revision.dateCreated)}${
+        index === 0 ? " (current)" : ""
+      }`;
+      UI.historyCompareFrom.add(new Option(label, revision.id));
+      UI.historyCompareTo.add(new Option(label, revision.id));
+
+      const li = document.createElement("li");
+      li.dataset.revisionId = revision.id;
+      li.innerHTML = `
+                <div class="history-item-info">
+                    <span class="history-item-date">${escapeHTML(label)}</span>
+                    <span class="history-item-title">${escapeHTML(
+                      revision.title || "Untitled Prompt"
+                    )}</span>
+                </div>
+                ${
+                  index === 0
+                    ? ""
+                    : `<button class="history-restore-btn" data-revision-id="${revision.id}">Restore</button>`
+                }`;
+      UI.historyList.appendChild(li);
+    });
+
+    UI.historyCompareFrom.value = (revisions[1] || revisions[0]).id;
+    UI.historyCompareTo.value = revisions[0].id;
+    renderRevisionDiff();
+  }
+
+  async function getDecryptedRevision(revisionId) {
+    if (state.decryptedRevisions[revisionId]) {
+      return state.decryptedRevisions[revisionId];
+    }
+    const revision = state.historyRevisions.find((r) => r.id === revisionId);
+    if (!revision) return null;
+    const password = state.currentPromptLockInfo?.password || null;
+    const decrypted = {
+      ...revision,
+      body: (await CryptoService.decrypt(revision.body, password)) ?? "",
+      notes: (await CryptoService.decrypt(revision.notes, password)) ?? "",
+    };
+    state.decryptedRevisions[revisionId] = decrypted;
+    return decrypted;
+  }
+
+  // Line-based diff built from the longest common subsequence of both texts.
+  function computeLineDiff(oldText, newText) {
+    const a = (oldText || "").split("\n");
+    const b = (newText || "").split("\n");
+    const lcs = Array.from(
+      { length: a.length + 1 },
+      () => new Uint32Array(b.length + 1)
+    );
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] =
+          a[i] === b[j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        diff.push({ type: "same", line: a[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        diff.push({ type: "removed", line: a[i++] });
+      } else {
+        diff.push({ type: "added", line: b[j++] });
+      }
+    }
+    while (i < a.length) diff.push({ type: "removed", line: a[i++] });
+    while (j < b.length) diff.push({ type: "added", line: b[j++] });
+    return diff;
+  }
+
+  async function renderRevisionDiff() {
+    const fromId = Number(UI.historyCompareFrom.value);
+    const toId = Number(UI.historyCompareTo.value);
+    const from = await getDecryptedRevision(fromId);
+    const to = await getDecryptedRevision(toId);
+    if (!from || !to) {
+      UI.historyDiff.innerHTML = "";
+      return;
+    }
+
+    const fields = [
+      { label: "Title", from: from.title, to: to.title },
+      { label: "Prompt", from: from.body, to: to.body },
+      { label: "Notes", from: from.notes, to: to.notes },
+      {
+        label: "Tags",
+        from: (from.tags || []).join(", "),
+        to: (to.tags || []).join(", "),
+      },
+    ].filter((field) => (field.from || "") !== (field.to || ""));
+
+    if (fields.length === 0) {
+      UI.historyDiff.innerHTML = `<div class="diff-empty">No differences.</div>`;
+      return;
+    }
+
+    const prefixes = { same: " ", added: "+", removed: "-" };
+    UI.historyDiff.innerHTML = fields
+      .map(
+        (field) => `
+                <div class="diff-field-label">${field.label}</div>
+                <div class="diff-block">${computeLineDiff(field.from, field.to)
+                  .map(
+                    (op) =>
+                      `<div class="diff-line diff-${op.type}">${
+                        prefixes[op.type]
+                      } ${escapeHTML(op.line)}</div>`
+                  )
+                  .join("")}</div>`
+      )
+      .join("");
+  }
+
+  async function handleHistoryListClick(e) {
+    const restoreBtn = e.target.closest(".history-restore-btn");
+    const item = e.target.closest("li[data-revision-id]");
+    if (!item) return;
+    const revisionId = Number(item.dataset.revisionId);
+
+    if (restoreBtn) {
+      await restoreRevision(revisionId);
+      return;
+    }
+
+    // Compare the clicked revision with the current one
+    const latestId = state.historyRevisions[0].id;
+    UI.historyCompareFrom.value = revisionId;
+    UI.historyCompareTo.value = latestId;
+    renderRevisionDiff();
+  }
+
+  async function restoreRevision(revisionId) {
+    const revision = await getDecryptedRevision(revisionId);
+    if (!revision) return;
+    const currentState = getPromptDetailsState();
+    setPromptDetailsState({
+      ...currentState,
+      title: revision.title || "",
+      body: revision.body,
+      notes: revision.notes,
+      tags: revision.tags || [],
+    });
+    const savedPrompt = await savePromptFromEditor();
+    if (!savedPrompt) return;
+    renderSidebarNav();
+    renderSidebarTags();
+    renderPrompts();
+    await openHistoryPanel();
   }
 
   function openFolderSettingsModal(folderId) {
@@ -1863,7 +5146,22 @@ document.addEventListener("DOMContentLoaded", () => {
     if (!folder) return;
     UI.folderSettingsTitle.textContent = `Settings for "${folder.name}"`;
     UI.renameFolderInput.value = folder.name;
+    UI.folderParentSelect.innerHTML = `<option value="root">No Parent</option>`;
+    const subtreeIds = getFolderSubtreeIds(folder.id);
+    getFolderTree()
+      .filter(
+        (item) => !subtreeIds.has(item.folder.id) && !item.folder.isLocked
+      )
+      .forEach(({ folder: f, depth }) => {
+        UI.folderParentSelect.add(
+          new Option(getFolderOptionLabel(f, depth), f.id)
+        );
+      });
+    UI.folderParentSelect.value = getFolderParentId(folder) ?? "root";
     UI.toggleLockFolderBtn.textContent = folder.isLocked ? "Unlock" : "Lock";
+    UI.changeFolderPasswordBtn.style.display = folder.isLocked ? "" : "none";
+    UI.folderHideMetaContainer.style.display = folder.isLocked ? "" : "none";
+    UI.folderHideMetaCb.checked = !!folder.hideMetadata;
     showModal(UI.folderSettingsModal);
   }
 
@@ -1872,6 +5170,11 @@ document.addEventListener("DOMContentLoaded", () => {
     if (!newName || !state.folderToEditId) return;
     const folder = state.folders.find((f) => f.id === state.folderToEditId);
     if (folder) {
+      const parentValue = UI.folderParentSelect.value;
+      const parentId = parentValue === "root" ? null : Number(parentValue);
+      if (parentId !== getFolderParentId(folder)) {
+        if (!(await moveFolder(folder.id, parentId))) return;
+      }
       folder.name = newName;
       await DB.put(DB.STORES.FOLDERS, folder);
       updateUI();
@@ -1879,6 +5182,42 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  async function moveFolder(folderId, parentId) {
+    const folder = state.folders.find((f) => f.id === folderId);
+    if (!folder) return false;
+    if (parentId !== null && getFolderSubtreeIds(folderId).has(parentId)) {
+      await ModalService.alert(
+        "A folder cannot be moved into itself or one of its subfolders.",
+        "Cannot Move Folder"
+      );
+      return false;
+    }
+    if (getSubfolderParentId(parentId) !== parentId) {
+      await ModalService.alert(
+        "A folder cannot be moved into a locked folder.",
+        "Cannot Move Folder"
+      );
+      return false;
+    }
+    folder.parentId = parentId;
+    if (parentId !== null) state.collapsedFolderIds.delete(parentId);
+    await DB.put(DB.STORES.FOLDERS, folder);
+    return true;
+  }
+
+  async function toggleFolderCollapsed(folderId) {
+    if (state.collapsedFolderIds.has(folderId)) {
+      state.collapsedFolderIds.delete(folderId);
+    } else {
+      state.collapsedFolderIds.add(folderId);
+    }
+    renderSidebarNav();
+    await DB.put(DB.STORES.SETTINGS, {
+      key: "collapsedFolders",
+      value: [...state.collapsedFolderIds],
+    });
+  }
+
   function handleDeleteFolderTrigger() {
     const folderId = state.folderToEditId;
     if (!folderId) return;
@@ -1890,9 +5229,12 @@ document.addEventListener("DOMContentLoaded", () => {
     state.folderToDeleteId = folderId;
     const folder = state.folders.find((f) => f.id === folderId);
     if (!folder) return;
-    const promptCount = state.prompts.filter(
-      (p) => p.folderId === folderId
+    const subtreeIds = getFolderSubtreeIds(folderId);
+    const subfolderCount = subtreeIds.size - 1;
+    const promptCount = state.prompts.filter((p) =>
+      subtreeIds.has(p.folderId)
     ).length;
+    const targetFolder = getDeleteMoveTarget(folder);
     const modal = UI.deleteFolderModal;
     modal.querySelector("h3").textContent = `Delete "${folder.name}"`;
     modal.querySelector("#confirm-delete-folder-move-prompts").style.display =
@@ -1904,14 +5246,27 @@ document.addEventListener("DOMContentLoaded", () => {
     modal.querySelector(
       "#confirm-delete-folder-move-prompts"
     ).textContent = `Delete Folder & Move ${promptCount} Prompts`;
+    const subfolderNote =
+      subfolderCount > 0
+        ? ` Its ${subfolderCount} subfolder(s) will be deleted as well.`
+        : "";
+    const moveNote = `Moved prompts will go to ${
+      targetFolder ? `"${targetFolder.name}"` : "No Folder"
+    }.`;
     modal.querySelector("p").textContent =
       promptCount > 0
-        ? `This folder contains ${promptCount} prompt(s). What would you like to do?`
-        : "Are you sure you want to delete this empty folder?";
+        ? `This folder contains ${promptCount} prompt(s).${subfolderNote} ${moveNote} What would you like to do?`
+        : `Are you sure you want to delete this empty folder?${subfolderNote}`;
     showModal(UI.deleteFolderModal);
   }
 
-  function handleSidebarNavClick(e) {
+  async function handleSidebarNavClick(e) {
+    const folderToggle = e.target.closest(".folder-toggle");
+    if (folderToggle) {
+      e.stopPropagation();
+      toggleFolderCollapsed(Number(folderToggle.dataset.folderId));
+      return;
+    }
     const settingsBtn = e.target.closest(".folder-settings-btn");
     if (settingsBtn) {
       e.stopPropagation();
@@ -1920,6 +5275,7 @@ document.addEventListener("DOMContentLoaded", () => {
     }
     const target = e.target.closest("[data-id]");
     if (!target) return;
+    if (!(await confirmLeaveEditor())) return;
     if (window.innerWidth <= 768 && history.state?.appState) {
       history.back();
     } else {
@@ -1939,43 +5295,76 @@ document.addEventListener("DOMContentLoaded", () => {
             : id,
       };
     }
+    if (state.view.type === "trash") await purgeTrash();
     updateUI();
   }
 
+  // Prompts from a deleted subtree go to the parent folder, or to "No Folder"
+  // when the parent is locked (they would need its password to be encrypted).
+  function getDeleteMoveTarget(folder) {
+    const parent = state.folders.find(
+      (f) => f.id === getFolderParentId(folder)
+    );
+    return parent && !parent.isLocked ? parent : null;
+  }
+
   async function handleDeleteFolderMove() {
     if (state.folderToDeleteId === null) return;
     const folder = state.folders.find((f) => f.id === state.folderToDeleteId);
+    const subtreeIds = getFolderSubtreeIds(folder.id);
+    const foldersToDelete = state.folders.filter((f) => subtreeIds.has(f.id));
+    const targetFolder = getDeleteMoveTarget(folder);
 
-    const promptsToUpdate = state.prompts.filter(
-      (p) => p.folderId === state.folderToDeleteId
+    const promptsToUpdate = state.prompts.filter((p) =>
+      subtreeIds.has(p.folderId)
     );
 
-    if (folder.isLocked) {
+    // Collect every password first so nothing is written if one is wrong
+    const passwords = {};
+    for (const lockedFolder of foldersToDelete.filter((f) => f.isLocked)) {
+      if (!promptsToUpdate.some((p) => p.folderId === lockedFolder.id)) {
+        continue;
+      }
       const password = await ModalService.password(
-        `Enter password for "${folder.name}" to decrypt prompts before moving.`
+        `Enter password for "${lockedFolder.name}" to decrypt prompts before moving.`
       );
       if (!password) return;
 
-      const check = await CryptoService.decrypt(folder.passwordCheck, password);
-      if (check !== String(folder.id)) {
+      const check = await CryptoService.decrypt(
+        lockedFolder.passwordCheck,
+        password
+      );
+      if (check !== String(lockedFolder.id)) {
         await ModalService.alert("Incorrect password.");
         return;
       }
+      passwords[lockedFolder.id] = password;
+    }
 
-      for (const p of promptsToUpdate) {
-        p.body = await CryptoService.decrypt(p.body, password);
-        p.notes = await CryptoService.decrypt(p.notes, password);
+    for (const [folderId, password] of Object.entries(passwords)) {
+      const lockedPrompts = promptsToUpdate.filter(
+        (p) => p.folderId === Number(folderId)
+      );
+      const decrypted = await cryptRecords("decrypt", lockedPrompts, password);
+      for (const [i, p] of lockedPrompts.entries()) {
+        Object.assign(p, decrypted[i]);
+        await showRecordMeta(p, password);
       }
+      await reencryptRevisions(
+        lockedPrompts.map((p) => p.id),
+        password,
+        null
+      );
     }
 
-    promptsToUpdate.forEach((p) => (p.folderId = null));
+    promptsToUpdate.forEach(
+      (p) => (p.folderId = targetFolder ? targetFolder.id : null)
+    );
     await DB.bulkPut(DB.STORES.PROMPTS, promptsToUpdate);
 
-    await DB.remove(DB.STORES.FOLDERS, state.folderToDeleteId);
-    state.folders = state.folders.filter(
-      (f) => f.id !== state.folderToDeleteId
-    );
-    if (state.view.id === state.folderToDeleteId)
+    await moveToTrash([], folder.id);
+    await updateSearchIndex(promptsToUpdate);
+    if (state.view.type === "folder" && subtreeIds.has(state.view.id))
       state.view = { type: "folder", id: "all" };
     state.folderToDeleteId = null;
     updateUI();
@@ -1983,18 +5372,12 @@ document.addEventListener("DOMContentLoaded", () => {
 
   async function handleDeleteFolderAndPrompts() {
     if (state.folderToDeleteId === null) return;
-    const promptIdsToDelete = state.prompts
-      .filter((p) => p.folderId === state.folderToDeleteId)
-      .map((p) => p.id);
-    await DB.bulkRemove(DB.STORES.PROMPTS, promptIdsToDelete);
-    await DB.remove(DB.STORES.FOLDERS, state.folderToDeleteId);
-    state.prompts = state.prompts.filter(
-      (p) => p.folderId !== state.folderToDeleteId
-    );
-    state.folders = state.folders.filter(
-      (f) => f.id !== state.folderToDeleteId
+    const subtreeIds = getFolderSubtreeIds(state.folderToDeleteId);
+    await moveToTrash(
+      state.prompts.filter((p) => subtreeIds.has(p.folderId)),
+      state.folderToDeleteId
     );
-    if (state.view.id === state.folderToDeleteId)
+    if (state.view.type === "folder" && subtreeIds.has(state.view.id))
       state.view = { type: "folder", id: "all" };
     if (
       state.currentPromptId &&
@@ -2044,40 +5427,51 @@ document.addEventListener("DOMContentLoaded", () => {
           await ModalService.alert("Incorrect password.");
           return;
         }
+        upgradeLockEncryption(
+          folder?.isLocked ? { folder } : { prompt },
+          password
+        );
         bodyToCopy = await CryptoService.decrypt(prompt.body, password);
       } else {
         bodyToCopy = prompt.body;
       }
 
+      bodyToCopy = await resolveIncludes(promptId, bodyToCopy || "");
+      if (bodyToCopy === null) return;
+      bodyToCopy = await resolveTemplateForCopy(promptId, bodyToCopy);
+      if (bodyToCopy === null) return;
+
       navigator.clipboard.writeText(bodyToCopy).then(() => {
         if (state.quickCopyTimeouts[promptId])
           clearTimeout(state.quickCopyTimeouts[promptId]);
-        quickCopyBtn.classList.add("copied");
-        quickCopyBtn.querySelector(".copy-icon").style.display = "none";
-        quickCopyBtn.querySelector(".check-icon").style.display = "block";
+        // The row may have been recycled by the time the timer fires, so the
+        // feedback is rendered from state rather than toggled on the button.
         state.quickCopyTimeouts[promptId] = setTimeout(() => {
-          quickCopyBtn.classList.remove("copied");
-          quickCopyBtn.querySelector(".copy-icon").style.display = "block";
-          quickCopyBtn.querySelector(".check-icon").style.display = "none";
           delete state.quickCopyTimeouts[promptId];
+          renderPromptWindow();
         }, 2000);
+        renderPromptWindow();
       });
       return;
     }
     if (favoriteToggle) {
       e.stopPropagation();
-      prompt.isFavorite = !prompt.isFavorite;
-      await DB.put(DB.STORES.PROMPTS, prompt);
+      prompt.isFavorite = prompt.isFavorite ? 0 : 1;
+      await recordUndo(
+        prompt.isFavorite ? "Added to Favorites" : "Removed from Favorites",
+        () => DB.put(DB.STORES.PROMPTS, prompt)
+      );
       renderSidebarNav();
       if (state.view.type === "folder" && state.view.id === "favorites") {
         renderPrompts();
       } else {
-        favoriteToggle.classList.toggle("active", prompt.isFavorite);
+        favoriteToggle.classList.toggle("active", !!prompt.isFavorite);
       }
       return;
     }
     if (tag) {
       e.stopPropagation();
+      if (!(await confirmLeaveEditor())) return;
       const newView = { type: "tag", id: tag.dataset.tag };
       if (state.view.type === newView.type && state.view.id === newView.id) {
         state.view = { type: "folder", id: "all" };
@@ -2097,6 +5491,9 @@ document.addEventListener("DOMContentLoaded", () => {
       else state.selectedPromptIds.add(promptId);
       updateBulkActionUI();
     } else {
+      if (promptId !== state.currentPromptId || state.isCreatingNew) {
+        if (!(await confirmLeaveEditor())) return;
+      }
       const folder = state.folders.find((f) => f.id === prompt.folderId);
       const isLockedByFolder = folder && folder.isLocked;
       const isLockedIndividually = prompt.isLocked;
@@ -2113,7 +5510,9 @@ document.addEventListener("DOMContentLoaded", () => {
         }
 
         const result = await ModalService.password(
-          `Enter password for ${itemType} "${item.name || item.title}"`,
+          `Enter password for ${itemType} "${
+            isLockedByFolder ? item.name : getPromptDisplayTitle(item)
+          }"`,
           {
             validate: async (password) => {
               if (!password) return false;
@@ -2130,31 +5529,17 @@ document.addEventListener("DOMContentLoaded", () => {
           if (result.remember) {
             state.sessionPasswords[key] = result.password;
           }
+          upgradeLockEncryption(
+            isLockedByFolder ? { folder } : { prompt },
+            result.password
+          );
 
-          if (isLockedByFolder) {
-            const promptsToCache = state.prompts.filter(
-              (p) => p.folderId === folder.id
-            );
-            for (const p of promptsToCache) {
-              const body = await CryptoService.decrypt(p.body, result.password);
-              const notes = await CryptoService.decrypt(
-                p.notes,
-                result.password
-              );
-              state.decryptedCache[p.id] = { body, notes };
-            }
-          } else {
-            // Locked individually
-            const body = await CryptoService.decrypt(
-              prompt.body,
-              result.password
-            );
-            const notes = await CryptoService.decrypt(
-              prompt.notes,
-              result.password
-            );
-            state.decryptedCache[prompt.id] = { body, notes };
-          }
+          await cacheDecryptedPrompts(
+            isLockedByFolder
+              ? state.prompts.filter((p) => p.folderId === folder.id)
+              : [prompt],
+            result.password
+          );
 
           openPromptDetailsView(false, promptId, result.password);
         }
@@ -2168,8 +5553,9 @@ document.addEventListener("DOMContentLoaded", () => {
     const folderName = UI.newFolderName.value.trim();
     if (folderName) {
       const newFolder = {
-        id: Date.now(),
+        id: createItemId(),
         name: folderName,
+        parentId: null,
         isLocked: false,
         passwordCheck: null,
       };
@@ -2185,7 +5571,7 @@ document.addEventListener("DOMContentLoaded", () => {
     const tagName = UI.newTagName.value.trim();
     if (tagName) {
       const allTags = new Set([
-        ...state.prompts.flatMap((p) => p.tags || []),
+        ...state.prompts.flatMap((p) => getPromptMeta(p).tags),
         ...state.globalTags,
       ]);
       if (!allTags.has(tagName)) {
@@ -2199,32 +5585,28 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   function handleSelectAll() {
-    const allVisibleItems = Array.from(UI.promptList.querySelectorAll("li"));
-    const allVisibleIds = allVisibleItems.map((li) => Number(li.dataset.id));
+    const allVisibleIds = promptListView.prompts.map((p) => p.id);
     const allVisibleSelected =
-      allVisibleItems.length > 0 &&
-      allVisibleItems.every((li) => li.classList.contains("selected"));
+      allVisibleIds.length > 0 &&
+      allVisibleIds.every((id) => state.selectedPromptIds.has(id));
     if (allVisibleSelected) {
-      allVisibleItems.forEach((li) => li.classList.remove("selected"));
       state.selectedPromptIds.clear();
     } else {
-      allVisibleItems.forEach((li) => li.classList.add("selected"));
       state.selectedPromptIds = new Set(allVisibleIds);
     }
+    renderPromptWindow();
     updateBulkActionUI();
   }
 
   async function handleBulkDelete() {
     if (state.selectedPromptIds.size === 0) return;
     const confirmed = await ModalService.confirm(
-      `Delete ${state.selectedPromptIds.size} selected prompts?`,
+      `Move ${state.selectedPromptIds.size} selected prompts to the Trash?`,
       { title: "Confirm Deletion", confirmBtnText: "Delete", danger: true }
     );
     if (confirmed) {
-      const idsToDelete = Array.from(state.selectedPromptIds);
-      await DB.bulkRemove(DB.STORES.PROMPTS, idsToDelete);
-      state.prompts = state.prompts.filter(
-        (p) => !state.selectedPromptIds.has(p.id)
+      await moveToTrash(
+        state.prompts.filter((p) => state.selectedPromptIds.has(p.id))
       );
       if (state.selectedPromptIds.has(state.currentPromptId)) {
         _internalCloseDetailsView();
@@ -2238,168 +5620,1085 @@ document.addEventListener("DOMContentLoaded", () => {
   async function handleDeletePrompt() {
     if (!state.currentPromptId) return;
     const confirmed = await ModalService.confirm(
-      "Are you sure you want to delete this prompt?",
+      "Move this prompt to the Trash?",
       { title: "Confirm Deletion", confirmBtnText: "Delete", danger: true }
     );
     if (confirmed) {
-      const idToDelete = state.currentPromptId;
-      await DB.remove(DB.STORES.PROMPTS, idToDelete);
-      state.prompts = state.prompts.filter((p) => p.id !== idToDelete);
+      await moveToTrash(
+        state.prompts.filter((p) => p.id === state.currentPromptId)
+      );
       if (window.innerWidth <= 768) history.back();
       else _internalCloseDetailsView();
       setTimeout(updateUI, 50);
     }
   }
 
-  function handleBulkMove() {
-    if (state.selectedPromptIds.size === 0) return;
-    UI.moveCount.textContent = state.selectedPromptIds.size;
-    UI.moveFolderSelect.innerHTML = `<option value="all">No Folder</option>`;
-    state.folders.forEach((folder) => {
-      const isLocked = folder.isLocked ? "🔓 " : "";
-      UI.moveFolderSelect.innerHTML += `<option value="${folder.id}">${isLocked}${folder.name}</option>`;
-    });
-    handleMoveFolderSelectChange(); // Check if initial selection is locked
-    showModal(UI.moveModal);
+  // Trash: deleted prompts and folders are kept in the trash store together
+  // with their revisions and copies of the folders they were in (nearest
+  // first), until they are restored or purged. Records are kept as they are
+  // stored, so locked ones stay encrypted.
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function getFolderAncestry(folderId) {
+    const chain = [];
+    const seen = new Set();
+    let folder = state.folders.find((f) => f.id === folderId);
+    while (folder && !seen.has(folder.id)) {
+      seen.add(folder.id);
+      chain.push({ ...folder });
+      const parentId = getFolderParentId(folder);
+      folder =
+        parentId == null ? null : state.folders.find((f) => f.id === parentId);
+    }
+    return chain;
   }
 
-  function handleMoveFolderSelectChange() {
-    const folderId = UI.moveFolderSelect.value;
-    const folder = state.folders.find((f) => f.id == folderId);
-    if (folder && folder.isLocked) {
-      UI.movePasswordContainer.style.display = "block";
-      UI.movePasswordInput.value = "";
+  // Moves prompts to the trash, one entry each, or as a single entry with
+  // the subtree of `folderId` when a folder is deleted.
+  async function moveToTrash(prompts, folderId = null) {
+    const promptIds = prompts.map((p) => p.id);
+    const revisions = [];
+    for (const promptId of promptIds) {
+      revisions.push(
+        ...(await DB.getAllByIndex(DB.STORES.REVISIONS, "promptId", promptId))
+      );
+    }
+    const deletedAt = Date.now();
+    let nextId = state.trash.reduce(
+      (max, entry) => Math.max(max, entry.id + 1),
+      deletedAt
+    );
+    let entries;
+    if (folderId !== null) {
+      const folder = state.folders.find((f) => f.id === folderId);
+      entries = [
+        {
+          id: nextId,
+          type: "folder",
+          deletedAt,
+          folders: [...getFolderSubtreeIds(folderId)].map((id) => ({
+            ...state.folders.find((f) => f.id === id),
+          })),
+          prompts,
+          revisions,
+          ancestors: getFolderAncestry(getFolderParentId(folder)),
+        },
+      ];
     } else {
-      UI.movePasswordContainer.style.display = "none";
+      entries = prompts.map((prompt) => ({
+        id: nextId++,
+        type: "prompt",
+        deletedAt,
+        folders: [],
+        prompts: [prompt],
+        revisions: revisions.filter((r) => r.promptId === prompt.id),
+        ancestors: getFolderAncestry(prompt.folderId),
+      }));
     }
+    const folderIds = entries.flatMap((entry) =>
+      entry.folders.map((f) => f.id)
+    );
+
+    await DB.bulkPutStores(
+      { [DB.STORES.TRASH]: entries },
+      {
+        [DB.STORES.PROMPTS]: promptIds,
+        [DB.STORES.FOLDERS]: folderIds,
+        [DB.STORES.REVISIONS]: revisions.map((r) => r.id),
+        [DB.STORES.DRAFTS]: promptIds,
+      }
+    );
+    await SearchIndex.remove(promptIds);
+    promptIds.forEach((id) => {
+      delete state.decryptedCache[id];
+      delete state.decryptedMeta[id];
+    });
+    state.prompts = state.prompts.filter((p) => !promptIds.includes(p.id));
+    state.folders = state.folders.filter((f) => !folderIds.includes(f.id));
+    state.trash.push(...entries);
   }
 
-  async function handleConfirmMove() {
-    hideModal(UI.moveModal); // Hide modal first
-    const newFolderId =
-      UI.moveFolderSelect.value === "all"
-        ? null
-        : Number(UI.moveFolderSelect.value);
-    const promptsToUpdate = state.prompts.filter((p) =>
-      state.selectedPromptIds.has(p.id)
+  // Finds the folder a trashed folder copy goes back into, recreating it if
+  // it is gone. A folder that holds restored prompts must still have the
+  // lock they were encrypted with; if it has changed, a copy with the old
+  // lock is made instead. Returns undefined if its password is not given.
+  async function restoreTrashFolder(snapshot, parentId, holdsPrompts, plan) {
+    const existing = [...state.folders, ...plan.folders].find(
+      (f) => f.id === snapshot.id
     );
-    const destFolder = state.folders.find((f) => f.id === newFolderId);
+    if (existing && (!holdsPrompts || hasSameLock(existing, snapshot))) {
+      return existing.id;
+    }
+    const folder = {
+      ...snapshot,
+      parentId: getSubfolderParentId(parentId, [
+        ...plan.folders,
+        ...state.folders,
+      ]),
+    };
+    if (existing) {
+      const newId = createItemId();
+      if (!(await rekeyPasswordCheck(folder, newId, snapshot.name))) return;
+      folder.id = newId;
+      folder.name = `${snapshot.name} (Restored)`;
+    }
+    plan.folders.push(folder);
+    return folder.id;
+  }
 
-    let destPassword = null;
-    if (destFolder && destFolder.isLocked) {
-      destPassword = UI.movePasswordInput.value;
-      const check = await CryptoService.decrypt(
-        destFolder.passwordCheck,
-        destPassword
+  // Returns false if a folder it needs could not be restored.
+  async function restoreTrashEntry(entry) {
+    const plan = { folders: [] };
+    let parentId = null;
+    const ancestors = [...entry.ancestors].reverse();
+    for (const [i, snapshot] of ancestors.entries()) {
+      const holdsPrompts =
+        entry.type === "prompt" && i === ancestors.length - 1;
+      parentId = await restoreTrashFolder(
+        snapshot,
+        parentId,
+        holdsPrompts,
+        plan
       );
-      if (check !== String(destFolder.id)) {
-        await ModalService.alert(
-          "Incorrect password for the destination folder."
-        );
-        return;
-      }
+      if (parentId === undefined) return false;
     }
-
-    for (const prompt of promptsToUpdate) {
-      const originalFolder = state.folders.find(
-        (f) => f.id === prompt.folderId
+    const folderIdMap = new Map();
+    for (const snapshot of entry.folders) {
+      const folderId = await restoreTrashFolder(
+        snapshot,
+        folderIdMap.get(snapshot.parentId) ?? parentId,
+        true,
+        plan
       );
-      let currentBody = prompt.body;
-      let currentNotes = prompt.notes;
-
-      if (originalFolder && originalFolder.isLocked) {
-        const oldPass = await ModalService.password(
-          `Enter password for "${originalFolder.name}" to move prompt "${
-            prompt.title || "Untitled"
-          }"`
-        );
-        if (!oldPass) {
-          await ModalService.alert(`Skipping prompt.`);
-          continue;
-        }
-        const check = await CryptoService.decrypt(
-          originalFolder.passwordCheck,
-          oldPass
-        );
-        if (check !== String(originalFolder.id)) {
-          await ModalService.alert(
-            `Skipping prompt: incorrect password for source folder.`
-          );
-          continue;
-        }
-        currentBody = await CryptoService.decrypt(prompt.body, oldPass);
-        currentNotes = await CryptoService.decrypt(prompt.notes, oldPass);
-      } else if (prompt.isLocked) {
-        const oldPass = await ModalService.password(
-          `Enter password for prompt "${prompt.title || "Untitled"}"`
-        );
-        if (!oldPass) {
-          await ModalService.alert(`Skipping prompt.`);
-          continue;
-        }
-        const check = await CryptoService.decrypt(
-          prompt.passwordCheck,
-          oldPass
-        );
-        if (check !== String(prompt.id)) {
-          await ModalService.alert(
-            `Skipping prompt: incorrect password for prompt.`
-          );
-          continue;
-        }
-        currentBody = await CryptoService.decrypt(prompt.body, oldPass);
-        currentNotes = await CryptoService.decrypt(prompt.notes, oldPass);
-      }
-
-      prompt.isLocked = false;
-      prompt.passwordCheck = null;
-
-      if (destPassword) {
-        prompt.body = await CryptoService.encrypt(currentBody, destPassword);
-        prompt.notes = await CryptoService.encrypt(currentNotes, destPassword);
-      } else {
-        prompt.body = currentBody;
-        prompt.notes = currentNotes;
-      }
-      prompt.folderId = newFolderId;
+      if (folderId === undefined) return false;
+      folderIdMap.set(snapshot.id, folderId);
     }
-
-    await DB.bulkPut(DB.STORES.PROMPTS, promptsToUpdate);
-    state.selectedPromptIds.clear();
-    state.isSelectMode = false;
-    updateUI();
+    const prompts = entry.prompts.map((p) => ({
+      ...p,
+      folderId:
+        entry.type === "folder" ? folderIdMap.get(p.folderId) : parentId,
+    }));
+
+    await DB.bulkPutStores(
+      {
+        [DB.STORES.FOLDERS]: plan.folders,
+        [DB.STORES.PROMPTS]: prompts,
+        [DB.STORES.REVISIONS]: entry.revisions,
+      },
+      { [DB.STORES.TRASH]: [entry.id] }
+    );
+    state.folders.push(...plan.folders);
+    state.prompts.push(...prompts);
+    state.trash = state.trash.filter((t) => t.id !== entry.id);
+    await updateSearchIndex(prompts);
+    return true;
   }
 
-  async function handleExportSingleFolder() {
-    const folderId = state.folderToEditId;
-    if (!folderId) return;
+  async function deleteTrashEntries(ids) {
+    await DB.bulkRemove(DB.STORES.TRASH, ids);
+    state.trash = state.trash.filter((entry) => !ids.includes(entry.id));
+  }
 
-    const folder = state.folders.find((f) => f.id === folderId);
-    if (!folder) return;
+  function getExpiredTrashIds(retentionDays) {
+    if (!retentionDays) return [];
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    return state.trash
+      .filter((entry) => entry.deletedAt < cutoff)
+      .map((entry) => entry.id);
+  }
 
-    const promptsInFolder = state.prompts.filter(
-      (p) => p.folderId === folderId
-    );
+  // Expired items are purged at startup, hourly and when the Trash opens.
+  const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
 
-    const dataToExport = {
-      folders: [folder],
-      prompts: promptsInFolder,
-    };
+  function purgeTrash() {
+    return takeWriteTurn(async () => {
+      const expiredIds = getExpiredTrashIds(state.trashRetentionDays);
+      if (expiredIds.length > 0) await deleteTrashEntries(expiredIds);
+    });
+  }
 
-    const dataStr = JSON.stringify(dataToExport, null, 2);
-    const blob = new Blob([dataStr], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
+  function renderTrash() {
+    UI.trashRetentionSelect.value = String(state.trashRetentionDays);
+    UI.emptyTrashBtn.disabled = state.trash.length === 0;
+    if (state.trash.length === 0) {
+      UI.trashList.innerHTML = `<li class="trash-empty">The Trash is empty.</li>`;
+      return;
+    }
+    UI.trashList.innerHTML = [...state.trash]
+      .sort((a, b) => b.deletedAt - a.deletedAt)
+      .map((entry) => {
+        const isFolder = entry.type === "folder";
+        const item = isFolder ? entry.folders[0] : entry.prompts[0];
+        const name = isFolder ? item.name : getPromptDisplayTitle(item);
+        const isLocked = isFolder
+          ? entry.folders.some((f) => f.isLocked)
+          : item.isLocked || !!entry.ancestors[0]?.isLocked;
+        const path = entry.ancestors
+          .map((f) => f.name)
+          .reverse()
+          .join(" / ");
+        const details = [
+          isFolder ? `Folder · ${entry.prompts.length} prompts` : "",
+          path ? `From "${path}"` : isFolder ? "" : "No Folder",
+          `Deleted ${formatRevisionDate(entry.deletedAt)}`,
+        ].filter(Boolean);
+        return `
+                <li data-id="${entry.id}">
+                    <div class="trash-item-info">
+                        <span class="trash-item-name">${escapeHTML(name)}</span>
+                        <span class="trash-item-meta">${escapeHTML(
+                          details.join(" · ")
+                        )}</span>
+                    </div>
+                    ${
+                      isLocked
+                        ? `<svg class="lock-icon"><use href="#icon-lock"></use></svg>`
+                        : ""
+                    }
+                    <button class="trash-item-btn trash-restore-btn">Restore</button>
+                    <button class="trash-item-btn trash-delete-btn">Delete Forever</button>
+                </li>`;
+      })
+      .join("");
+  }
+
+  async function handleTrashListClick(e) {
+    const li = e.target.closest("li[data-id]");
+    const entry = li && state.trash.find((t) => t.id === Number(li.dataset.id));
+    if (!entry) return;
+    if (e.target.closest(".trash-restore-btn")) {
+      if (
+        await recordUndo("Restored from Trash", () => restoreTrashEntry(entry))
+      ) {
+        updateUI();
+      } else {
+        await ModalService.alert(
+          "The item was not restored because its folder's password was not entered.",
+          "Restore Failed"
+        );
+      }
+    } else if (e.target.closest(".trash-delete-btn")) {
+      const confirmed = await ModalService.confirm(
+        "Permanently delete this item? This cannot be undone.",
+        { title: "Delete Forever", confirmBtnText: "Delete", danger: true }
+      );
+      if (!confirmed) return;
+      await deleteTrashEntries([entry.id]);
+      updateUI();
+    }
+  }
+
+  async function handleEmptyTrash() {
+    if (state.trash.length === 0) return;
+    const confirmed = await ModalService.confirm(
+      `Permanently delete ${state.trash.length} item(s) in the Trash? This cannot be undone.`,
+      { title: "Empty Trash", confirmBtnText: "Empty Trash", danger: true }
+    );
+    if (!confirmed) return;
+    await deleteTrashEntries(state.trash.map((entry) => entry.id));
+    updateUI();
+  }
+
+  async function handleTrashRetentionChange() {
+    const retentionDays = Number(UI.trashRetentionSelect.value);
+    const expiredCount = getExpiredTrashIds(retentionDays).length;
+    if (expiredCount > 0) {
+      const confirmed = await ModalService.confirm(
+        `${expiredCount} item(s) in the Trash are older than ${retentionDays} days and will be deleted now.`,
+        { title: "Change Retention", confirmBtnText: "Delete", danger: true }
+      );
+      if (!confirmed) {
+        UI.trashRetentionSelect.value = String(state.trashRetentionDays);
+        return;
+      }
+    }
+    state.trashRetentionDays = retentionDays;
+    await DB.put(DB.STORES.SETTINGS, {
+      key: "trash",
+      value: { retentionDays },
+    });
+    await purgeTrash();
+    updateUI();
+  }
+
+  // Undo/redo: an action wrapped in recordUndo() has every record it writes
+  // captured before and after, so undoing or redoing it writes one side back
+  // in a single transaction. Encrypted values are restored exactly as they
+  // were stored, and nothing is written if the records, or the locks of the
+  // folders and prompts they belong to, have changed since.
+  const UNDO_LIMIT = 50;
+  const UNDO_TOAST_DURATION = 6000;
+
+  // Undoable actions, undo/redo and background writes take turns, so an
+  // action's recording only holds its own writes even while it waits on a
+  // dialog.
+  let writeTurn = Promise.resolve();
+
+  function takeWriteTurn(task) {
+    const run = writeTurn.then(task);
+    writeTurn = run.catch(() => {});
+    return run;
+  }
+
+  function recordUndo(label, action) {
+    return takeWriteTurn(async () => {
+      DB.startRecording();
+      try {
+        return await action();
+      } finally {
+        const changes = await DB.stopRecording();
+        if (changes.length > 0) {
+          state.undoStack.push({
+            label,
+            changes,
+            locks: getRecordedLocks(changes),
+          });
+          if (state.undoStack.length > UNDO_LIMIT) state.undoStack.shift();
+          state.redoStack = [];
+          showUndoToast(label, "undo");
+        }
+      }
+    });
+  }
+
+  function withUndo(label, handler) {
+    return (...args) => recordUndo(label, () => handler(...args));
+  }
+
+  // The locks of the folders and prompts that recorded prompts and revisions
+  // belong to. Those the action changed itself are checked with its records.
+  function getRecordedLocks(changes) {
+    const changed = new Set(
+      changes.map((change) => JSON.stringify([change.storeName, change.key]))
+    );
+    const locks = new Map();
+    const addLock = (storeName, id) => {
+      const lockId = JSON.stringify([storeName, id]);
+      if (id == null || changed.has(lockId) || locks.has(lockId)) return;
+      const items =
+        storeName === DB.STORES.FOLDERS ? state.folders : state.prompts;
+      const item = items.find((i) => i.id === id);
+      locks.set(lockId, {
+        storeName,
+        id,
+        isLocked: !!item?.isLocked,
+        passwordCheck: item?.passwordCheck,
+      });
+    };
+    const getPrompt = (id) => {
+      const change = changes.find(
+        (c) => c.storeName === DB.STORES.PROMPTS && c.key === id
+      );
+      return change
+        ? change.after || change.before
+        : state.prompts.find((p) => p.id === id);
+    };
+    changes.forEach(({ storeName, before, after }) => {
+      [before, after].filter(Boolean).forEach((record) => {
+        if (storeName === DB.STORES.PROMPTS) {
+          addLock(DB.STORES.FOLDERS, record.folderId);
+        } else if (storeName === DB.STORES.FOLDERS) {
+          // A folder can't go back into one that has been locked since.
+          addLock(DB.STORES.FOLDERS, record.parentId);
+        } else if (storeName === DB.STORES.REVISIONS) {
+          addLock(DB.STORES.PROMPTS, record.promptId);
+          addLock(DB.STORES.FOLDERS, getPrompt(record.promptId)?.folderId);
+        }
+      });
+    });
+    return [...locks.values()];
+  }
+
+  function hasRecordedLocks(locks) {
+    return locks.every((lock) => {
+      const items =
+        lock.storeName === DB.STORES.FOLDERS ? state.folders : state.prompts;
+      const item = items.find((i) => i.id === lock.id);
+      return !!item && hasSameLock(item, lock);
+    });
+  }
+
+  async function handleUndo() {
+    await replayUndoEntry(state.undoStack, state.redoStack, "before");
+  }
+
+  async function handleRedo() {
+    await replayUndoEntry(state.redoStack, state.undoStack, "after");
+  }
+
+  async function replayUndoEntry(fromStack, toStack, side) {
+    const isUndo = side === "before";
+    let entry = null;
+    const isApplied = await takeWriteTurn(async () => {
+      entry = fromStack.pop();
+      if (
+        !entry ||
+        !hasRecordedLocks(entry.locks) ||
+        !(await DB.applyRecorded(entry.changes, side))
+      ) {
+        return false;
+      }
+      toStack.push(entry);
+      await reloadAfterUndo(entry.changes);
+      return true;
+    });
+    if (!entry) return;
+    if (!isApplied) {
+      await ModalService.alert(
+        `"${escapeHTML(entry.label)}" can't be ${
+          isUndo ? "undone" : "redone"
+        } because the items it changed, or the locks on them, have been changed since.`,
+        isUndo ? "Cannot Undo" : "Cannot Redo"
+      );
+      return;
+    }
+    showUndoToast(
+      `${isUndo ? "Undid" : "Redid"}: ${entry.label}`,
+      isUndo ? "redo" : "undo"
+    );
+  }
+
+  async function reloadAfterUndo(changes) {
+    const promptIds = changes
+      .filter((change) => change.storeName === DB.STORES.PROMPTS)
+      .map((change) => change.key);
+    promptIds.forEach((id) => delete state.decryptedMeta[id]);
+    await loadData();
+    const prompts = state.prompts.filter((p) => promptIds.includes(p.id));
+    await SearchIndex.remove(
+      promptIds.filter((id) => !prompts.some((p) => p.id === id))
+    );
+    await updateSearchIndex(prompts);
+    await revealPromptMeta(prompts);
+    if (
+      state.view.type === "folder" &&
+      typeof state.view.id === "number" &&
+      !state.folders.some((f) => f.id === state.view.id)
+    ) {
+      state.view = { type: "folder", id: "all" };
+    }
+    if (
+      state.currentPromptId &&
+      !state.prompts.some((p) => p.id === state.currentPromptId)
+    ) {
+      _internalCloseDetailsView();
+    }
+    updateUI();
+  }
+
+  function showUndoToast(message, action) {
+    UI.undoToastMessage.textContent = message;
+    UI.undoToastBtn.textContent = action === "undo" ? "Undo" : "Redo";
+    UI.undoToastBtn.dataset.action = action;
+    UI.undoToast.classList.add("visible");
+    clearTimeout(state.undoToastTimeout);
+    state.undoToastTimeout = setTimeout(
+      () => UI.undoToast.classList.remove("visible"),
+      UNDO_TOAST_DURATION
+    );
+  }
+
+  function handleUndoToastClick() {
+    UI.undoToast.classList.remove("visible");
+    if (UI.undoToastBtn.dataset.action === "undo") handleUndo();
+    else handleRedo();
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS). Text fields and open dialogs keep
+  // their own undo.
+  function handleUndoShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== "z" && key !== "y") return;
+    const target = e.target;
+    if (
+      target.closest("input, textarea, select, [contenteditable='true']") ||
+      document.querySelector(".modal-overlay.show")
+    ) {
+      return;
+    }
+    e.preventDefault();
+    if (key === "y" || e.shiftKey) handleRedo();
+    else handleUndo();
+  }
+
+  function handleBulkMove() {
+    if (state.selectedPromptIds.size === 0) return;
+    UI.moveCount.textContent = state.selectedPromptIds.size;
+    UI.moveFolderSelect.innerHTML = `<option value="all">No Folder</option>`;
+    getFolderTree().forEach(({ folder, depth }) => {
+      UI.moveFolderSelect.add(
+        new Option(getFolderOptionLabel(folder, depth), folder.id)
+      );
+    });
+    handleMoveFolderSelectChange(); // Check if initial selection is locked
+    showModal(UI.moveModal);
+  }
+
+  function handleMoveFolderSelectChange() {
+    const folderId = UI.moveFolderSelect.value;
+    const folder = state.folders.find((f) => f.id == folderId);
+    if (folder && folder.isLocked) {
+      UI.movePasswordContainer.style.display = "block";
+      UI.movePasswordInput.value = "";
+    } else {
+      UI.movePasswordContainer.style.display = "none";
+    }
+  }
+
+  async function handleConfirmMove() {
+    hideModal(UI.moveModal); // Hide modal first
+    const newFolderId =
+      UI.moveFolderSelect.value === "all"
+        ? null
+        : Number(UI.moveFolderSelect.value);
+    const promptsToUpdate = state.prompts.filter((p) =>
+      state.selectedPromptIds.has(p.id)
+    );
+    const destFolder = state.folders.find((f) => f.id === newFolderId);
+
+    let destPassword = null;
+    if (destFolder && destFolder.isLocked) {
+      destPassword = UI.movePasswordInput.value;
+      const check = await CryptoService.decrypt(
+        destFolder.passwordCheck,
+        destPassword
+      );
+      if (check !== String(destFolder.id)) {
+        await ModalService.alert(
+          "Incorrect password for the destination folder."
+        );
+        return;
+      }
+    }
+
+    for (const prompt of promptsToUpdate) {
+      const originalFolder = state.folders.find(
+        (f) => f.id === prompt.folderId
+      );
+      let currentBody = prompt.body;
+      let currentNotes = prompt.notes;
+      let oldPassword = null;
+
+      if (originalFolder && originalFolder.isLocked) {
+        const oldPass = await ModalService.password(
+          `Enter password for "${
+            originalFolder.name
+          }" to move prompt "${getPromptDisplayTitle(prompt)}"`
+        );
+        if (!oldPass) {
+          await ModalService.alert(`Skipping prompt.`);
+          continue;
+        }
+        const check = await CryptoService.decrypt(
+          originalFolder.passwordCheck,
+          oldPass
+        );
+        if (check !== String(originalFolder.id)) {
+          await ModalService.alert(
+            `Skipping prompt: incorrect password for source folder.`
+          );
+          continue;
+        }
+        currentBody = await CryptoService.decrypt(prompt.body, oldPass);
+        currentNotes = await CryptoService.decrypt(prompt.notes, oldPass);
+        await showRecordMeta(prompt, oldPass);
+        oldPassword = oldPass;
+      } else if (prompt.isLocked) {
+        const oldPass = await ModalService.password(
+          `Enter password for prompt "${getPromptDisplayTitle(prompt)}"`
+        );
+        if (!oldPass) {
+          await ModalService.alert(`Skipping prompt.`);
+          continue;
+        }
+        const check = await CryptoService.decrypt(
+          prompt.passwordCheck,
+          oldPass
+        );
+        if (check !== String(prompt.id)) {
+          await ModalService.alert(
+            `Skipping prompt: incorrect password for prompt.`
+          );
+          continue;
+        }
+        currentBody = await CryptoService.decrypt(prompt.body, oldPass);
+        currentNotes = await CryptoService.decrypt(prompt.notes, oldPass);
+        await showRecordMeta(prompt, oldPass);
+        oldPassword = oldPass;
+      }
+
+      const hideMeta = !!(destPassword && destFolder.hideMetadata);
+      await reencryptRevisions(
+        [prompt.id],
+        oldPassword,
+        destPassword,
+        hideMeta
+      );
+      prompt.isLocked = false;
+      prompt.passwordCheck = null;
+      delete prompt.hideMetadata;
+      delete state.decryptedMeta[prompt.id];
+
+      if (destPassword) {
+        prompt.body = await CryptoService.encrypt(currentBody, destPassword);
+        prompt.notes = await CryptoService.encrypt(currentNotes, destPassword);
+        if (hideMeta) await hideRecordMeta(prompt, destPassword);
+      } else {
+        prompt.body = currentBody;
+        prompt.notes = currentNotes;
+      }
+      prompt.folderId = newFolderId;
+    }
+
+    await DB.bulkPut(DB.STORES.PROMPTS, promptsToUpdate);
+    await updateSearchIndex(promptsToUpdate);
+    state.selectedPromptIds.clear();
+    state.isSelectMode = false;
+    updateUI();
+  }
+
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `promptcat_folder_${folder.name}_backup_${
-      new Date().toISOString().split("T")[0]
-    }.json`;
+    a.download = fileName;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   }
 
+  function downloadJSON(data, fileName) {
+    const dataStr = JSON.stringify(data, null, 2);
+    downloadBlob(new Blob([dataStr], { type: "application/json" }), fileName);
+  }
+
+  function isPromptLocked(prompt) {
+    const folder = state.folders.find((f) => f.id === prompt.folderId);
+    return !!(prompt.isLocked || (folder && folder.isLocked));
+  }
+
+  // Asks for the export format and, for Markdown and CSV, what to do with
+  // locked prompts. JSON exports keep locked prompts encrypted.
+  async function chooseExportOptions(prompts) {
+    const hasLocked = prompts.some(isPromptLocked);
+    const fields = [
+      {
+        name: "format",
+        label: "Format",
+        type: "select",
+        value: "json",
+        options: [
+          { value: "json", label: "JSON backup" },
+          { value: "markdown", label: "Markdown files (ZIP)" },
+          { value: "csv", label: "CSV spreadsheet" },
+        ],
+      },
+    ];
+    fields.push({
+      name: "encrypt",
+      label: "Encrypt JSON backup with a passphrase",
+      type: "checkbox",
+      value: state.vaultEnabled,
+    });
+    if (hasLocked) {
+      fields.push({
+        name: "lockedPrompts",
+        label: "Locked prompts (Markdown and CSV only)",
+        type: "select",
+        value: "skip",
+        options: [
+          { value: "skip", label: "Skip them" },
+          { value: "decrypt", label: "Ask for passwords and decrypt them" },
+        ],
+      });
+    }
+    return ModalService.form(fields, {
+      title: "Export",
+      message: `${prompts.length} prompt(s) will be exported.`,
+      confirmBtnText: "Export",
+    });
+  }
+
+  // Returns the plaintext of the prompts that can be exported. Each lock is
+  // unlocked with a password asked for this export only; prompts whose
+  // password is not given are skipped.
+  async function getExportablePrompts(prompts, decryptLocked) {
+    const passwords = new Map();
+    const exportable = [];
+    let skipped = 0;
+
+    for (const prompt of prompts) {
+      if (!isPromptLocked(prompt)) {
+        exportable.push({ prompt, body: prompt.body, notes: prompt.notes });
+        continue;
+      }
+      if (!decryptLocked) {
+        skipped++;
+        continue;
+      }
+
+      const folder = state.folders.find((f) => f.id === prompt.folderId);
+      const lock =
+        folder && folder.isLocked
+          ? { key: `folder-${folder.id}`, item: folder, name: folder.name }
+          : {
+              key: `prompt-${prompt.id}`,
+              item: prompt,
+              name: getPromptDisplayTitle(prompt),
+            };
+      if (!passwords.has(lock.key)) {
+        const password = await ModalService.password(
+          `Enter password for "${escapeHTML(
+            lock.name
+          )}" to include it in the export`
+        );
+        const check =
+          password &&
+          (await CryptoService.decrypt(lock.item.passwordCheck, password));
+        passwords.set(
+          lock.key,
+          check === String(lock.item.id) ? password : null
+        );
+      }
+      const password = passwords.get(lock.key);
+      if (!password) {
+        skipped++;
+        continue;
+      }
+      exportable.push({
+        prompt: { ...prompt, ...(await decryptRecordMeta(prompt, password)) },
+        body: await CryptoService.decrypt(prompt.body, password),
+        notes: await CryptoService.decrypt(prompt.notes, password),
+      });
+    }
+    return { exportable, skipped };
+  }
+
+  function formatExportDate(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : "";
+  }
+
+  function toSafeFileName(name) {
+    return (
+      name
+        .replace(/[\\/:*?"<>|\x00-\x1f]/g, "-")
+        .replace(/^[\s.]+|[\s.]+$/g, "")
+        .slice(0, 100) || "Untitled Prompt"
+    );
+  }
+
+  // One Markdown file per prompt with its metadata in YAML front matter,
+  // laid out in directories that mirror the folder tree.
+  function createMarkdownFiles(exportable) {
+    const usedPaths = new Set();
+    return exportable.map(({ prompt, body, notes }) => {
+      const folderPath = getFolderPath(prompt.folderId);
+      const dir = folderPath.map((name) => `${toSafeFileName(name)}/`).join("");
+      const baseName = toSafeFileName(prompt.title || "Untitled Prompt");
+      let path = `${dir}${baseName}.md`;
+      for (let n = 2; usedPaths.has(path.toLowerCase()); n++) {
+        path = `${dir}${baseName} (${n}).md`;
+      }
+      usedPaths.add(path.toLowerCase());
+
+      const frontMatter = [
+        `title: ${JSON.stringify(prompt.title || "")}`,
+        `tags: [${(prompt.tags || [])
+          .map((t) => JSON.stringify(t))
+          .join(", ")}]`,
+      ];
+      if (folderPath.length > 0) {
+        frontMatter.push(`folder: ${JSON.stringify(folderPath.join("/"))}`);
+      }
+      frontMatter.push(
+        `favorite: ${!!prompt.isFavorite}`,
+        `created: ${formatExportDate(prompt.dateCreated)}`,
+        `modified: ${formatExportDate(prompt.dateModified)}`
+      );
+      if (notes) {
+        frontMatter.push(
+          "notes: |",
+          ...notes.split("\n").map((line) => `  ${line}`)
+        );
+      }
+      return {
+        path,
+        content: `---\n${frontMatter.join("\n")}\n---\n\n${body || ""}\n`,
+        date: new Date(prompt.dateModified || Date.now()),
+      };
+    });
+  }
+
+  function createCSV(exportable) {
+    const quote = (value) => {
+      const text = String(value ?? "");
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [
+      [
+        "title",
+        "body",
+        "notes",
+        "tags",
+        "folder",
+        "favorite",
+        "created",
+        "modified",
+      ],
+      ...exportable.map(({ prompt, body, notes }) => [
+        prompt.title || "",
+        body || "",
+        notes || "",
+        (prompt.tags || []).join("; "),
+        getFolderPath(prompt.folderId).join("/"),
+        prompt.isFavorite ? "true" : "false",
+        formatExportDate(prompt.dateCreated),
+        formatExportDate(prompt.dateModified),
+      ]),
+    ];
+    // The byte order mark makes spreadsheet apps read the file as UTF-8.
+    return `\uFEFF${rows
+      .map((row) => row.map(quote).join(","))
+      .join("\r\n")}\r\n`;
+  }
+
+  const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // Builds an uncompressed ZIP archive from { path, content, date } entries.
+  function createZipBlob(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ path, content, date }) => {
+      const name = encoder.encode(path);
+      const data = encoder.encode(content);
+      const crc = crc32(data);
+      const dosTime =
+        (date.getHours() << 11) |
+        (date.getMinutes() << 5) |
+        (date.getSeconds() >> 1);
+      const dosDate =
+        (Math.max(date.getFullYear() - 1980, 0) << 9) |
+        ((date.getMonth() + 1) << 5) |
+        date.getDate();
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // stored, no compression
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      localParts.push(local, name, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+      centralParts.push(central, name);
+
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce(
+      (sum, part) => sum + part.byteLength,
+      0
+    );
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end], {
+      type: "application/zip",
+    });
+  }
+
+  const ENCRYPTED_BACKUP_FORMAT = "promptcat-encrypted-backup";
+
+  // Wraps a JSON backup in an envelope whose header says how the payload was
+  // encrypted. Everything else, including folder names, is in the payload.
+  async function encryptBackup(data) {
+    const values = await ModalService.form(
+      [
+        { name: "passphrase", label: "Passphrase", type: "password" },
+        { name: "confirm", label: "Confirm passphrase", type: "password" },
+      ],
+      {
+        title: "Encrypt Backup",
+        message:
+          "You will need this passphrase to import the backup. It cannot be recovered if you forget it.",
+        confirmBtnText: "Encrypt",
+      }
+    );
+    if (!values) return null;
+    if (!values.passphrase || values.passphrase !== values.confirm) {
+      await ModalService.alert(
+        values.passphrase
+          ? "The passphrases do not match."
+          : "Please enter a passphrase.",
+        "Export Cancelled"
+      );
+      return null;
+    }
+
+    const payload = await CryptoService.encrypt(
+      JSON.stringify(data),
+      values.passphrase
+    );
+    if (typeof payload !== "object") {
+      await ModalService.alert("The backup could not be encrypted.", "Error");
+      return null;
+    }
+    return {
+      format: ENCRYPTED_BACKUP_FORMAT,
+      version: 1,
+      cipher: "AES-GCM",
+      kdf: {
+        name: "PBKDF2",
+        hash: "SHA-256",
+        iterations: CryptoService.iterations,
+      },
+      payload,
+    };
+  }
+
+  async function decryptBackup(envelope) {
+    if (envelope.version !== 1 || !envelope.payload) {
+      await ModalService.alert(
+        "This encrypted backup was made by a newer version of PromptCat and cannot be read.",
+        "Import Error"
+      );
+      return null;
+    }
+    let decrypted = null;
+    const result = await ModalService.password(
+      "This backup is encrypted. Enter its passphrase to import it.",
+      {
+        title: "Encrypted Backup",
+        rememberOption: false,
+        validate: async (passphrase) => {
+          decrypted = await CryptoService.decrypt(envelope.payload, passphrase);
+          return decrypted !== null;
+        },
+      }
+    );
+    return result ? JSON.parse(decrypted) : null;
+  }
+
+  // Exports prompts in the chosen format. `json` is called for JSON exports so
+  // each caller keeps control of what goes into its backup file.
+  async function exportPrompts(prompts, baseFileName, json) {
+    const options = await chooseExportOptions(prompts);
+    if (!options) return;
+    const date = new Date().toISOString().split("T")[0];
+
+    if (options.format === "json") {
+      let data = { schemaVersion: DB.VERSION, ...(await json()) };
+      if (options.encrypt) {
+        data = await encryptBackup(data);
+        if (!data) return;
+      }
+      downloadJSON(data, `${baseFileName}_${date}.json`);
+      return;
+    }
+
+    const { exportable, skipped } = await getExportablePrompts(
+      prompts,
+      options.lockedPrompts === "decrypt"
+    );
+    if (exportable.length === 0) {
+      await ModalService.alert(
+        "None of the prompts could be exported because they are all locked.",
+        "Export Empty"
+      );
+      return;
+    }
+
+    if (options.format === "markdown") {
+      downloadBlob(
+        createZipBlob(createMarkdownFiles(exportable)),
+        `${baseFileName}_${date}.zip`
+      );
+    } else {
+      downloadBlob(
+        new Blob([createCSV(exportable)], { type: "text/csv;charset=utf-8" }),
+        `${baseFileName}_${date}.csv`
+      );
+    }
+    if (skipped > 0) {
+      await ModalService.alert(
+        `Exported ${exportable.length} prompt(s). ${skipped} locked prompt(s) were skipped.`,
+        "Export Complete"
+      );
+    }
+  }
+
+  async function handleExportSingleFolder() {
+    const folderId = state.folderToEditId;
+    if (!folderId) return;
+
+    const folder = state.folders.find((f) => f.id === folderId);
+    if (!folder) return;
+
+    hideModal(UI.folderSettingsModal);
+    const subtreeIds = getFolderSubtreeIds(folderId);
+    const promptsInFolder = state.prompts.filter((p) =>
+      subtreeIds.has(p.folderId)
+    );
+
+    await exportPrompts(
+      promptsInFolder,
+      `promptcat_folder_${folder.name}_backup`,
+      async () => ({
+        folders: state.folders.filter((f) => subtreeIds.has(f.id)),
+        prompts: (
+          await Promise.all(
+            [...subtreeIds].map((id) =>
+              DB.getAllByIndex(DB.STORES.PROMPTS, "folderId", id)
+            )
+          )
+        ).flat(),
+      })
+    );
+  }
+
   async function handleBulkExport() {
     if (state.selectedPromptIds.size === 0) {
       ModalService.alert("No prompts selected to export.", "Export Empty");
@@ -2408,112 +6707,1000 @@ document.addEventListener("DOMContentLoaded", () => {
     const promptsToExport = state.prompts.filter((p) =>
       state.selectedPromptIds.has(p.id)
     );
-    const dataToExport = {
+    await exportPrompts(promptsToExport, "promptcat_prompts_backup", () => ({
       prompts: promptsToExport,
+    }));
+  }
+
+  function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+  }
+
+  function getFileExtension(fileName) {
+    const match = fileName.match(/\.([^.]+)$/);
+    return match ? match[1].toLowerCase() : "";
+  }
+
+  async function handleImport(event) {
+    const files = Array.from(event.target.files);
+    UI.importFileInput.value = "";
+    if (files.length === 0) return;
+    try {
+      if (files.length === 1 && getFileExtension(files[0].name) === "json") {
+        let data = JSON.parse(await readFileAsText(files[0]));
+        if (data && data.format === ENCRYPTED_BACKUP_FORMAT) {
+          data = await decryptBackup(data);
+          if (!data) return;
+        }
+        await importJSONData(data);
+      } else if (files.some((f) => getFileExtension(f.name) === "json")) {
+        // A backup can replace the whole library, so it isn't mixed in with
+        // prompts from other files.
+        await ModalService.alert(
+          "A JSON backup must be imported on its own. Select it without any other files.",
+          "Import Error"
+        );
+      } else {
+        await importPromptFiles(files);
+      }
+    } catch (error) {
+      await ModalService.alert(
+        "An error occurred while reading or parsing the file.",
+        "Import Error"
+      );
+    }
+  }
+
+  const IMPORT_TARGET_FIELDS = [
+    {
+      name: "title",
+      label: "Title",
+      aliases: ["title", "name", "heading", "file name"],
+    },
+    {
+      name: "body",
+      label: "Prompt",
+      aliases: ["body", "prompt", "content", "text"],
+    },
+    {
+      name: "notes",
+      label: "Notes",
+      aliases: ["notes", "note", "description", "comments"],
+    },
+    {
+      name: "tags",
+      label: "Tags",
+      aliases: ["tags", "tag", "keywords", "labels"],
+    },
+    {
+      name: "folder",
+      label: "Folder",
+      aliases: ["folder", "category", "collection", "path"],
+    },
+  ];
+
+  // Turns a Markdown, CSV or plain-text file into records of named source
+  // fields, which the mapping step then assigns to prompt fields.
+  function parsePromptFile(fileName, text) {
+    const baseName = fileName.replace(/\.[^.]+$/, "");
+    switch (getFileExtension(fileName)) {
+      case "csv":
+        return parseCSVRecords(text);
+      case "md":
+      case "markdown":
+        return [parseMarkdownRecord(text, baseName)];
+      case "txt":
+        return [{ "file name": baseName, content: text.trim() }];
+      default:
+        return null;
+    }
+  }
+
+  function parseMarkdownRecord(text, baseName) {
+    const record = { "file name": baseName };
+    let content = text;
+    const frontMatter = text.match(
+      /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/
+    );
+    if (frontMatter) {
+      Object.assign(record, parseFrontMatter(frontMatter[1]));
+      content = text.slice(frontMatter[0].length);
+    }
+    const heading = content.match(/^\s*#[ \t]+(.+?)[ \t#]*(?:\r?\n|$)/);
+    if (heading) {
+      record.heading = heading[1];
+      content = content.slice(heading[0].length);
+    }
+    record.content = content.trim();
+    return record;
+  }
+
+  // Reads the flat subset of YAML used in front matter: `key: value` pairs,
+  // `[a, b]` and `- item` lists, and `|` or `>` block text.
+  function parseFrontMatter(yaml) {
+    const fields = {};
+    const lines = yaml.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const pair = lines[i].match(/^([^\s#:][^:]*):(?:\s+(.*))?$/);
+      if (!pair) continue;
+      const key = pair[1].trim().toLowerCase();
+      const value = (pair[2] || "").trim();
+
+      if (value === "|" || value === ">") {
+        const block = [];
+        while (i + 1 < lines.length && /^(\s+\S|\s*$)/.test(lines[i + 1])) {
+          block.push(lines[++i]);
+        }
+        // Only the block's own indentation is stripped, so indented lines
+        // in the text keep theirs.
+        const indent = Math.min(
+          ...block
+            .filter((line) => line.trim())
+            .map((line) => line.match(/^\s*/)[0].length)
+        );
+        fields[key] =
+          value === "|"
+            ? block
+                .map((line) => line.slice(indent))
+                .join("\n")
+                .replace(/^\n+|\n+$/g, "")
+            : block
+                .map((line) => line.trim())
+                .join(" ")
+                .trim();
+      } else if (value === "") {
+        const items = [];
+        while (i + 1 < lines.length && /^\s*-\s+/.test(lines[i + 1])) {
+          items.push(parseYAMLScalar(lines[++i].replace(/^\s*-\s+/, "")));
+        }
+        fields[key] = items;
+      } else if (value.startsWith("[") && value.endsWith("]")) {
+        fields[key] = value
+          .slice(1, -1)
+          .split(",")
+          .map(parseYAMLScalar)
+          .filter(Boolean);
+      } else {
+        fields[key] = parseYAMLScalar(value);
+      }
+    }
+    return fields;
+  }
+
+  function parseYAMLScalar(value) {
+    const trimmed = value.trim();
+    if (/^".*"$/.test(trimmed)) {
+      try {
+        return JSON.parse(trimmed);
+      } catch (e) {
+        // Not a JSON-compatible string, fall back to stripping the quotes
+      }
+    }
+    const quoted = trimmed.match(/^(["'])(.*)\1$/);
+    return quoted ? quoted[2] : trimmed;
+  }
+
+  // Parses CSV with a header row. Quoted cells may contain delimiters, line
+  // breaks and doubled quotes. The delimiter is guessed from the header.
+  function parseCSVRecords(text) {
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [";", "\t"].reduce(
+      (best, candidate) =>
+        headerLine.split(candidate).length > headerLine.split(best).length
+          ? candidate
+          : best,
+      ","
+    );
+
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char !== '"') cell += char;
+        else if (text[i + 1] === '"') cell += text[i++];
+        else inQuotes = false;
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        rows.push([...row, cell]);
+        row = [];
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+    if (cell || row.length > 0) rows.push([...row, cell]);
+
+    const [header = [], ...dataRows] = rows.filter((r) =>
+      r.some((value) => value.trim())
+    );
+    const keys = header.map((key) => key.trim().toLowerCase());
+    return dataRows.map((r) => {
+      const record = {};
+      keys.forEach((key, i) => {
+        if (key) record[key] = (r[i] || "").trim();
+      });
+      return record;
+    });
+  }
+
+  const IMPORT_FORMATS = {
+    md: "Markdown",
+    markdown: "Markdown",
+    csv: "CSV",
+    txt: "Plain Text",
+  };
+
+  async function importPromptFiles(files) {
+    const groups = new Map(); // format label -> { records, fileCount }
+    const unsupportedFiles = [];
+    for (const file of files) {
+      const text = (await readFileAsText(file)).replace(/^\uFEFF/, "");
+      const parsed = parsePromptFile(file.name, text);
+      if (!parsed) {
+        unsupportedFiles.push(file.name);
+        continue;
+      }
+      const label = IMPORT_FORMATS[getFileExtension(file.name)];
+      if (!groups.has(label)) groups.set(label, { records: [], fileCount: 0 });
+      groups.get(label).records.push(...parsed);
+      groups.get(label).fileCount++;
+    }
+
+    if (![...groups.values()].some((group) => group.records.length > 0)) {
+      await ModalService.alert(
+        "No prompts were found in the selected files. Supported formats are JSON backups, Markdown, CSV and plain text.",
+        "Import Error"
+      );
+      return;
+    }
+
+    const skippedNote =
+      unsupportedFiles.length > 0
+        ? ` Skipped unsupported files: ${escapeHTML(
+            unsupportedFiles.join(", ")
+          )}.`
+        : "";
+    const mappings = [];
+    for (const [label, { records, fileCount }] of groups) {
+      if (records.length === 0) continue;
+      const sourceFields = [...new Set(records.flatMap(Object.keys))];
+      const mapping = await ModalService.form(
+        IMPORT_TARGET_FIELDS.map((target) => ({
+          name: target.name,
+          label: target.label,
+          type: "select",
+          value:
+            target.aliases.find((alias) => sourceFields.includes(alias)) || "",
+          options: [
+            { value: "", label: "(none)" },
+            ...sourceFields.map((field) => ({ value: field, label: field })),
+          ],
+        })),
+        {
+          title: `Import ${label}`,
+          message: `Found ${
+            records.length
+          } prompt(s) in ${fileCount} ${label} file(s).${
+            mappings.length === 0 ? skippedNote : ""
+          } Choose which field fills each part of the imported prompts. Folder paths such as "Work/Emails" create nested folders.`,
+          confirmBtnText: "Continue",
+        }
+      );
+      if (!mapping) return;
+      mappings.push({ records, mapping });
+    }
+
+    let importedCount = 0;
+    let skippedCount = 0;
+    for (const { records, mapping } of mappings) {
+      const { prompts, skipped } = await createImportedPrompts(
+        records,
+        mapping
+      );
+      importedCount += prompts.length;
+      skippedCount += skipped;
+    }
+    updateUI();
+    await ModalService.alert(
+      `Imported ${importedCount} prompt(s).${
+        skippedCount > 0
+          ? ` ${skippedCount} empty or locked record(s) were skipped.`
+          : ""
+      }`,
+      "Import Complete"
+    );
+  }
+
+  // Creates prompts from mapped records the same way the editor saves them,
+  // adding any folders and tags that don't exist yet.
+  async function createImportedPrompts(records, mapping) {
+    const now = Date.now();
+    const newFolders = [];
+    const folderPasswords = new Map();
+    const prompts = [];
+    let skipped = 0;
+
+    const getText = (record, field) => {
+      const value = field ? record[field] : "";
+      return (Array.isArray(value) ? value.join("\n") : value || "").trim();
     };
-    const dataStr = JSON.stringify(dataToExport, null, 2);
-    const blob = new Blob([dataStr], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `promptcat_prompts_backup_${
-      new Date().toISOString().split("T")[0]
-    }.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+
+    const getFolderId = (path) => {
+      let parentId = null;
+      path
+        .split("/")
+        .map((name) => name.trim())
+        .filter(Boolean)
+        .forEach((name) => {
+          parentId = getSubfolderParentId(parentId);
+          let folder = state.folders.find(
+            (f) =>
+              getFolderParentId(f) === parentId &&
+              f.name.toLowerCase() === name.toLowerCase()
+          );
+          if (!folder) {
+            folder = {
+              id: createItemId(),
+              name,
+              parentId,
+              isLocked: false,
+              passwordCheck: null,
+            };
+            state.folders.push(folder);
+            newFolders.push(folder);
+          }
+          parentId = folder.id;
+        });
+      return parentId;
+    };
+
+    const getFolderPassword = async (folder) => {
+      if (!folderPasswords.has(folder.id)) {
+        let password = state.sessionPasswords[`folder-${folder.id}`] || null;
+        if (!password) {
+          password = await ModalService.password(
+            `Enter password for "${folder.name}" to import prompts into it`
+          );
+          const check =
+            password &&
+            (await CryptoService.decrypt(folder.passwordCheck, password));
+          if (check !== String(folder.id)) {
+            if (password) await ModalService.alert("Incorrect password.");
+            password = null;
+          }
+        }
+        folderPasswords.set(folder.id, password);
+      }
+      return folderPasswords.get(folder.id);
+    };
+
+    for (const record of records) {
+      const title = getText(record, mapping.title);
+      const body = getText(record, mapping.body);
+      const notes = getText(record, mapping.notes);
+      if (!title && !body && !notes) {
+        skipped++;
+        continue;
+      }
+
+      const tagsValue = mapping.tags ? record[mapping.tags] || "" : "";
+      const tags = [
+        ...new Set(
+          (Array.isArray(tagsValue) ? tagsValue : tagsValue.split(/[,;]/))
+            .map((tag) => tag.trim().replace(/,/g, ""))
+            .filter(Boolean)
+        ),
+      ];
+      const folderId = getFolderId(
+        getText(record, mapping.folder).replace(/\n/g, "/")
+      );
+
+      const prompt = {
+        id: createItemId(),
+        dateCreated: now,
+        isFavorite: 0,
+        isLocked: false,
+        body,
+        notes,
+      };
+      const folder = state.folders.find((f) => f.id === folderId);
+      if (folder && folder.isLocked) {
+        const password = await getFolderPassword(folder);
+        if (!password) {
+          skipped++;
+          continue;
+        }
+        prompt.body = await CryptoService.encrypt(body, password);
+        prompt.notes = await CryptoService.encrypt(notes, password);
+      }
+      prompt.title = title;
+      prompt.folderId = folderId;
+      prompt.tags = tags;
+      prompt.dateModified = now;
+      if (folder && folder.isLocked && folder.hideMetadata) {
+        await hideRecordMeta(prompt, folderPasswords.get(folder.id));
+      }
+      prompts.push(prompt);
+    }
+
+    const existingTags = new Set([
+      ...state.prompts.flatMap((p) => p.tags || []),
+      ...state.globalTags,
+    ]);
+    const newTags = [...new Set(prompts.flatMap((p) => p.tags))].filter(
+      (tag) => !existingTags.has(tag)
+    );
+
+    await DB.bulkPut(DB.STORES.FOLDERS, newFolders);
+    await DB.bulkPut(DB.STORES.PROMPTS, prompts);
+    await DB.bulkPut(DB.STORES.REVISIONS, prompts.map(createRevision));
+    await DB.bulkPut(
+      DB.STORES.TAGS,
+      newTags.map((tag) => ({ id: tag }))
+    );
+    state.prompts.push(...prompts);
+    state.globalTags.push(...newTags);
+    await updateSearchIndex(prompts);
+    return { prompts, skipped };
+  }
+
+  // Field types of the records in a JSON backup. A trailing "?" marks an
+  // optional field; "encrypted" is a CryptoService envelope.
+  const BACKUP_SCHEMA = {
+    folders: {
+      id: "number",
+      name: "string",
+      parentId: "number|null?",
+      isLocked: "boolean?",
+      passwordCheck: "encrypted|null?",
+      hideMetadata: "boolean?",
+    },
+    prompts: {
+      id: "number",
+      title: "string?",
+      body: "string|encrypted?",
+      notes: "string|encrypted?",
+      tags: "string[]?",
+      folderId: "number|null?",
+      dateCreated: "number?",
+      dateModified: "number?",
+      isFavorite: "number?",
+      isLocked: "boolean?",
+      passwordCheck: "encrypted|null?",
+      hideMetadata: "boolean?",
+      meta: "encrypted?",
+    },
+  };
+
+  function matchesSchemaType(value, type) {
+    const optional = type.endsWith("?");
+    if (value === undefined) return optional;
+    return type
+      .replace(/\?$/, "")
+      .split("|")
+      .some((t) => {
+        if (t === "null") return value === null;
+        if (t === "string[]")
+          return (
+            Array.isArray(value) && value.every((v) => typeof v === "string")
+          );
+        if (t === "encrypted")
+          return (
+            !!value &&
+            typeof value === "object" &&
+            ["ct", "iv", "salt"].every((k) => typeof value[k] === "string")
+          );
+        if (t === "number") return Number.isFinite(value);
+        return typeof value === t;
+      });
+  }
+
+  // Returns the reason a record does not match the schema, or null.
+  function getSchemaError(record, schema) {
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+      return "not an object";
+    }
+    const field = Object.keys(schema).find(
+      (key) => !matchesSchemaType(record[key], schema[key])
+    );
+    if (field) return `invalid "${field}"`;
+    if (record.isLocked && !record.passwordCheck)
+      return "locked without a password check";
+    return null;
+  }
+
+  // Validates a JSON backup without touching the database. Invalid records
+  // are dropped, and references to folders that don't exist are cleared so
+  // orphaned prompts and folders end up at the top level.
+  function validateBackupData(data, isPartial) {
+    const report = {
+      folders: [],
+      prompts: [],
+      globalTags: [],
+      newCount: 0,
+      duplicateCount: 0,
+      orphanedCount: 0,
+      lockedCount: 0,
+      invalid: [],
+    };
+    const collect = (type, records, schema) => {
+      if (records === undefined) return [];
+      if (!Array.isArray(records)) {
+        report.invalid.push(`"${type}" is not a list`);
+        return [];
+      }
+      const seenIds = new Set();
+      return records.filter((record, index) => {
+        let error = getSchemaError(record, schema);
+        if (!error && seenIds.has(record.id))
+          error = `duplicate id ${record.id}`;
+        if (error) {
+          report.invalid.push(`${type} #${index + 1}: ${error}`);
+          return false;
+        }
+        seenIds.add(record.id);
+        return true;
+      });
+    };
+
+    report.folders = collect(
+      "folders",
+      data.folders,
+      BACKUP_SCHEMA.folders
+    ).map((f) => ({ ...f, parentId: f.parentId ?? null }));
+    report.prompts = collect(
+      "prompts",
+      data.prompts,
+      BACKUP_SCHEMA.prompts
+    ).map((p) => ({ ...p, folderId: p.folderId ?? null, tags: p.tags || [] }));
+    if (Array.isArray(data.globalTags)) {
+      report.globalTags = data.globalTags.filter((t) => typeof t === "string");
+      if (report.globalTags.length < data.globalTags.length) {
+        report.invalid.push("globalTags: some tags are not text");
+      }
+    } else if (data.globalTags !== undefined) {
+      report.invalid.push(`"globalTags" is not a list`);
+    }
+
+    const foldersById = new Map(report.folders.map((f) => [f.id, f]));
+    const knownFolderIds = new Set(foldersById.keys());
+    if (isPartial) state.folders.forEach((f) => knownFolderIds.add(f.id));
+
+    report.folders.forEach((folder) => {
+      // Missing parents and cycles would hide a folder from the tree.
+      const seen = new Set([folder.id]);
+      let parentId = folder.parentId;
+      while (parentId != null && foldersById.has(parentId)) {
+        if (seen.has(parentId)) break;
+        seen.add(parentId);
+        parentId = foldersById.get(parentId).parentId;
+      }
+      const isOrphaned =
+        folder.parentId != null &&
+        (!knownFolderIds.has(folder.parentId) || seen.has(parentId));
+      if (isOrphaned) {
+        folder.parentId = null;
+        report.orphanedCount++;
+      }
+    });
+    report.prompts.forEach((prompt) => {
+      if (prompt.folderId != null && !knownFolderIds.has(prompt.folderId)) {
+        prompt.folderId = null;
+        report.orphanedCount++;
+      }
+    });
+
+    const existingIds = {
+      folders: new Set(isPartial ? state.folders.map((f) => f.id) : []),
+      prompts: new Set(isPartial ? state.prompts.map((p) => p.id) : []),
+    };
+    ["folders", "prompts"].forEach((type) => {
+      report[type].forEach((record) => {
+        if (existingIds[type].has(record.id)) report.duplicateCount++;
+        else report.newCount++;
+      });
+    });
+
+    const lockedFolderIds = new Set(
+      report.folders.filter((f) => f.isLocked).map((f) => f.id)
+    );
+    report.lockedCount =
+      lockedFolderIds.size +
+      report.prompts.filter(
+        (p) => p.isLocked || lockedFolderIds.has(p.folderId)
+      ).length;
+    return report;
+  }
+
+  function getImportReportHTML(report, isPartial) {
+    const lines = [
+      `<strong>${report.prompts.length}</strong> prompt(s) and <strong>${report.folders.length}</strong> folder(s) are ready to import.`,
+      `New: ${report.newCount}`,
+    ];
+    if (isPartial) {
+      lines.push(
+        `Already in your library (you can choose which copy to keep next): ${report.duplicateCount}`
+      );
+    }
+    lines.push(
+      `Invalid and skipped: ${report.invalid.length}`,
+      `Orphaned (missing folder, moved to the top level): ${report.orphanedCount}`,
+      `Locked: ${report.lockedCount}`
+    );
+    const details = report.invalid
+      .slice(0, 5)
+      .map((reason) => `&nbsp;&nbsp;• ${escapeHTML(reason)}`);
+    if (report.invalid.length > 5) {
+      details.push(`&nbsp;&nbsp;• and ${report.invalid.length - 5} more`);
+    }
+    return [...lines, ...details].join("<br>");
+  }
+
+  const CONFLICT_OPTIONS = [
+    { value: "mine", label: "Keep mine" },
+    { value: "theirs", label: "Take theirs" },
+    { value: "both", label: "Keep both (imported copy gets a new id)" },
+  ];
+
+  // Lists colliding records and asks which copy to keep. Returns a decision
+  // per conflict ("mine", "theirs" or "both"), or null if cancelled.
+  async function askConflictResolutions(conflicts, title) {
+    if (conflicts.length === 0) return [];
+    const getNewest = (conflict) =>
+      (conflict.theirs.dateModified || 0) > (conflict.mine.dateModified || 0)
+        ? "theirs"
+        : "mine";
+    const values = await ModalService.form(
+      [
+        {
+          name: "all",
+          label: "Apply to all",
+          type: "select",
+          value: "",
+          options: [
+            { value: "", label: "Decide for each item below" },
+            ...CONFLICT_OPTIONS,
+            { value: "newest", label: "Newest modification date wins" },
+          ],
+        },
+        ...conflicts.map((conflict, index) => ({
+          name: `conflict-${index}`,
+          label: conflict.label,
+          type: "select",
+          value: getNewest(conflict),
+          options: CONFLICT_OPTIONS,
+        })),
+      ],
+      {
+        title,
+        message: `${conflicts.length} imported item(s) have the same id as existing ones.`,
+        confirmBtnText: "Continue",
+      }
+    );
+    if (!values) return null;
+    return conflicts.map((conflict, index) => {
+      if (values.all === "newest") return getNewest(conflict);
+      return values.all || values[`conflict-${index}`];
+    });
+  }
+
+  function hasSameLock(a, b) {
+    return (
+      (!a.isLocked && !b.isLocked) ||
+      (a.isLocked && b.isLocked && a.passwordCheck?.ct === b.passwordCheck?.ct)
+    );
   }
 
-  function handleImport(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = async (e) => {
-      try {
-        const data = JSON.parse(e.target.result);
-        if (data && (data.prompts || data.folders)) {
-          const isPartial =
-            (data.prompts && !data.folders) ||
-            (!data.prompts && data.folders) ||
-            (data.prompts && data.folders && data.globalTags === undefined);
-          let confirmed = true;
-          if (!isPartial) {
-            confirmed = await ModalService.confirm(
-              "This will overwrite all current data. This action cannot be undone.",
-              {
-                title: "Confirm Import",
-                confirmBtnText: "Overwrite",
-                danger: true,
-              }
-            );
-          } else {
-            confirmed = await ModalService.confirm(
-              "This will add data from the selected file. Existing data will be kept.",
-              { title: "Confirm Partial Import", confirmBtnText: "Append" }
-            );
-          }
+  // Password checks are tied to the id of the locked item, so giving a locked
+  // folder or prompt a new id needs its password. Returns false if refused.
+  async function rekeyPasswordCheck(item, newId, name) {
+    if (!item.isLocked) return true;
+    const password = await ModalService.password(
+      `Enter the password for "${escapeHTML(name)}" to keep both copies of it`
+    );
+    const check =
+      password && (await CryptoService.decrypt(item.passwordCheck, password));
+    if (check !== String(item.id)) return false;
+    item.passwordCheck = await CryptoService.encrypt(String(newId), password);
+    return true;
+  }
 
-          if (confirmed) {
-            if (!isPartial) {
-              await DB.clear(DB.STORES.PROMPTS);
-              await DB.clear(DB.STORES.FOLDERS);
-              await DB.clear(DB.STORES.TAGS);
-            }
+  // Works out what an append import writes. Folders are matched by id, then
+  // by name within the same parent, and imported `folderId` and `parentId`
+  // references are remapped to wherever their folder ends up. Returns null
+  // if the user cancels.
+  async function planAppendImport(data) {
+    reserveItemIds([...(data.prompts || []), ...(data.folders || [])]);
+    const plan = { folders: [], prompts: [], revisions: [], skipped: 0 };
+
+    // Folders that share an id but differ get a decision up front, since it
+    // decides where their subfolders and prompts go.
+    const importedFolders = data.folders || [];
+    const folderConflicts = [];
+    importedFolders.forEach((folder) => {
+      const mine = state.folders.find((f) => f.id === folder.id);
+      if (mine && mine.name !== folder.name && hasSameLock(mine, folder)) {
+        folderConflicts.push({
+          mine,
+          theirs: folder,
+          label: `Folder "${mine.name}" (yours) / "${folder.name}" (theirs)`,
+        });
+      }
+    });
+    const folderDecisions = await askConflictResolutions(
+      folderConflicts,
+      "Folder Conflicts"
+    );
+    if (!folderDecisions) return null;
+    const folderDecisionById = new Map(
+      folderConflicts.map((c, i) => [c.theirs.id, folderDecisions[i]])
+    );
 
-            if (data.folders) {
-              const existingFolders = await DB.getAll(DB.STORES.FOLDERS);
-              const existingFolderIds = new Set(
-                existingFolders.map((f) => f.id)
-              );
-              const newFolders = data.folders.filter(
-                (f) => !existingFolderIds.has(f.id)
-              );
-              await DB.bulkPut(DB.STORES.FOLDERS, newFolders);
-            }
+    const folderIdMap = new Map(); // imported id -> id it is stored under
+    const skippedFolderIds = new Set();
+    const mapFolderId = (id) => {
+      if (id == null || skippedFolderIds.has(id)) return null;
+      if (folderIdMap.has(id)) return folderIdMap.get(id);
+      return state.folders.some((f) => f.id === id) ? id : null;
+    };
+    const importedIds = new Set(importedFolders.map((f) => f.id));
+    const pending = [...importedFolders];
+    while (pending.length > 0) {
+      // Parents first, so children can be matched against where they went.
+      let index = pending.findIndex(
+        (f) =>
+          f.parentId == null ||
+          !importedIds.has(f.parentId) ||
+          folderIdMap.has(f.parentId) ||
+          skippedFolderIds.has(f.parentId)
+      );
+      if (index === -1) index = 0;
+      const [folder] = pending.splice(index, 1);
+      const imported = {
+        ...folder,
+        parentId: getSubfolderParentId(mapFolderId(folder.parentId), [
+          ...plan.folders,
+          ...state.folders,
+        ]),
+      };
+      const mine = state.folders.find((f) => f.id === folder.id);
+      const sameName = state.folders.find(
+        (f) =>
+          getFolderParentId(f) === imported.parentId &&
+          f.name.toLowerCase() === folder.name.toLowerCase() &&
+          hasSameLock(f, folder)
+      );
+      const decision = folderDecisionById.get(folder.id);
+
+      if (!mine && sameName) {
+        folderIdMap.set(folder.id, sameName.id);
+      } else if (!mine) {
+        folderIdMap.set(folder.id, folder.id);
+        plan.folders.push(imported);
+      } else if (decision === "theirs") {
+        folderIdMap.set(folder.id, folder.id);
+        plan.folders.push(imported);
+      } else if (
+        decision === "both" ||
+        (!decision && !hasSameLock(mine, folder))
+      ) {
+        const newId = createItemId();
+        if (await rekeyPasswordCheck(imported, newId, folder.name)) {
+          imported.id = newId;
+          folderIdMap.set(folder.id, newId);
+          plan.folders.push(imported);
+        } else {
+          skippedFolderIds.add(folder.id);
+        }
+      } else {
+        folderIdMap.set(folder.id, folder.id);
+      }
+    }
 
-            if (data.prompts) {
-              const existingPrompts = await DB.getAll(DB.STORES.PROMPTS);
-              const existingPromptIds = new Set(
-                existingPrompts.map((p) => p.id)
-              );
-              const newPrompts = data.prompts.filter(
-                (p) => !existingPromptIds.has(p.id)
-              );
-              await DB.bulkPut(DB.STORES.PROMPTS, newPrompts);
-            }
+    const promptConflicts = [];
+    (data.prompts || []).forEach((prompt) => {
+      if (skippedFolderIds.has(prompt.folderId)) {
+        plan.skipped++;
+        return;
+      }
+      const imported = { ...prompt, folderId: mapFolderId(prompt.folderId) };
+      const mine = state.prompts.find((p) => p.id === prompt.id);
+      if (!mine) {
+        plan.prompts.push(imported);
+      } else if (
+        mine.dateModified !== prompt.dateModified ||
+        mine.title !== prompt.title ||
+        mine.folderId !== imported.folderId
+      ) {
+        promptConflicts.push({
+          mine,
+          theirs: imported,
+          label: `"${
+            mine.title || "Untitled Prompt"
+          }": yours modified ${formatRevisionDate(
+            mine.dateModified || mine.dateCreated
+          )}, theirs ${formatRevisionDate(
+            prompt.dateModified || prompt.dateCreated
+          )}`,
+        });
+      }
+    });
+    const promptDecisions = await askConflictResolutions(
+      promptConflicts,
+      "Prompt Conflicts"
+    );
+    if (!promptDecisions) return null;
+
+    for (const [index, { theirs }] of promptConflicts.entries()) {
+      const decision = promptDecisions[index];
+      if (decision === "theirs") {
+        plan.prompts.push(theirs);
+        plan.revisions.push(createRevision(theirs));
+      } else if (decision === "both") {
+        const newId = createItemId();
+        if (
+          await rekeyPasswordCheck(
+            theirs,
+            newId,
+            theirs.title || "Untitled Prompt"
+          )
+        ) {
+          plan.prompts.push({ ...theirs, id: newId });
+        } else {
+          plan.skipped++;
+        }
+      }
+    }
+    return plan;
+  }
 
-            if (data.globalTags) {
-              const existingTags = await DB.getAll(DB.STORES.TAGS);
-              const existingTagIds = new Set(existingTags.map((t) => t.id));
-              const newTags = data.globalTags
-                .filter((t) => !existingTagIds.has(t))
-                .map((tag) => ({ id: tag }));
-              await DB.bulkPut(DB.STORES.TAGS, newTags);
-            }
+  // Brings a backup made with an older schema up to the current one. Files
+  // from before backups carried a `schemaVersion` are at version 4.
+  function upgradeBackupData(data) {
+    const fromVersion = Number.isInteger(data.schemaVersion)
+      ? data.schemaVersion
+      : 4;
+    if (fromVersion > DB.VERSION) return null;
+    if (!Array.isArray(data.prompts)) return data;
+    return {
+      ...data,
+      prompts: data.prompts.map((p) =>
+        p && typeof p === "object" ? DB.upgradePrompt(p, fromVersion) : p
+      ),
+    };
+  }
+
+  async function importJSONData(data) {
+    if (data && (data.prompts || data.folders)) {
+      data = upgradeBackupData(data);
+      if (!data) {
+        await ModalService.alert(
+          "This backup was made by a newer version of PromptCat and cannot be imported.",
+          "Import Error"
+        );
+        return;
+      }
+      const isPartial =
+        (data.prompts && !data.folders) ||
+        (!data.prompts && data.folders) ||
+        (data.prompts && data.folders && data.globalTags === undefined);
+      const report = validateBackupData(data, isPartial);
+      if (report.prompts.length === 0 && report.folders.length === 0) {
+        await ModalService.alert(
+          `The selected file has no valid prompts or folders to import.<br><br>${getImportReportHTML(
+            report,
+            isPartial
+          )}`,
+          "Import Error"
+        );
+        return;
+      }
+      data = {
+        prompts: report.prompts,
+        folders: report.folders,
+        globalTags:
+          data.globalTags !== undefined ? report.globalTags : undefined,
+      };
 
-            state.currentPromptId = null;
-            state.isCreatingNew = false;
-            state.view = { type: "folder", id: "all" };
-            await loadData();
-            updateUI();
-            await ModalService.alert("Import successful!", "Success");
+      let confirmed = true;
+      if (!isPartial) {
+        confirmed = await ModalService.confirm(
+          `${getImportReportHTML(
+            report,
+            isPartial
+          )}<br><br>This will overwrite all current data. This action cannot be undone.`,
+          {
+            title: "Confirm Import",
+            confirmBtnText: "Overwrite",
+            danger: true,
           }
-        } else {
-          await ModalService.alert(
-            "The selected file has an invalid format.",
-            "Import Error"
-          );
+        );
+      } else {
+        confirmed = await ModalService.confirm(
+          `${getImportReportHTML(
+            report,
+            isPartial
+          )}<br><br>This will add data from the selected file. Existing data will be kept.`,
+          { title: "Confirm Partial Import", confirmBtnText: "Append" }
+        );
+      }
+
+      if (confirmed) {
+        if (!isPartial) {
+          await DB.clear(DB.STORES.PROMPTS);
+          await DB.clear(DB.STORES.FOLDERS);
+          await DB.clear(DB.STORES.TAGS);
+          await DB.clear(DB.STORES.REVISIONS);
+          await DB.clear(DB.STORES.SEARCH_INDEX);
+          await DB.clear(DB.STORES.TRASH);
+          await DB.clear(DB.STORES.DRAFTS);
+          SearchIndex.clear();
+        }
+
+        let plan = {
+          folders: (data.folders || []).map((f) => ({
+            ...f,
+            parentId: getSubfolderParentId(f.parentId, data.folders),
+          })),
+          prompts: data.prompts || [],
+          revisions: [],
+          skipped: 0,
+        };
+        if (isPartial) {
+          plan = await planAppendImport(data);
+          if (!plan) return;
+        }
+        await DB.bulkPut(DB.STORES.FOLDERS, plan.folders);
+        await DB.bulkPut(DB.STORES.PROMPTS, plan.prompts);
+        await DB.bulkPut(DB.STORES.REVISIONS, plan.revisions);
+
+        if (data.globalTags) {
+          const existingTags = await DB.getAll(DB.STORES.TAGS);
+          const existingTagIds = new Set(existingTags.map((t) => t.id));
+          const newTags = data.globalTags
+            .filter((t) => !existingTagIds.has(t))
+            .map((tag) => ({ id: tag }));
+          await DB.bulkPut(DB.STORES.TAGS, newTags);
         }
-      } catch (error) {
+
+        state.currentPromptId = null;
+        state.isCreatingNew = false;
+        state.view = { type: "folder", id: "all" };
+        await loadData();
+        await SearchIndex.load(state.prompts, getIndexableText);
+        // Replaced prompts keep their id, so their entries are rebuilt even
+        // when the stored ones look current.
+        const importedIds = new Set(plan.prompts.map((p) => p.id));
+        await updateSearchIndex(
+          state.prompts.filter((p) => importedIds.has(p.id))
+        );
+        updateUI();
         await ModalService.alert(
-          "An error occurred while reading or parsing the file.",
-          "Import Error"
+          plan.skipped > 0
+            ? `Import successful! ${plan.skipped} locked prompt(s) were skipped because their password was not entered.`
+            : "Import successful!",
+          "Success"
         );
       }
-    };
-    reader.readAsText(file);
-    UI.importFileInput.value = "";
+    } else {
+      await ModalService.alert(
+        "The selected file has an invalid format.",
+        "Import Error"
+      );
+    }
   }
 
   async function handleExport() {
@@ -2521,29 +7708,22 @@ document.addEventListener("DOMContentLoaded", () => {
       ModalService.alert("There's no data to export.", "Export Empty");
       return;
     }
-    const dataToExport = {
+    await exportPrompts(state.prompts, "promptcat_backup", async () => ({
       prompts: await DB.getAll(DB.STORES.PROMPTS),
       folders: await DB.getAll(DB.STORES.FOLDERS),
       globalTags: (await DB.getAll(DB.STORES.TAGS)).map((t) => t.id),
-    };
-    const dataStr = JSON.stringify(dataToExport, null, 2);
-    const blob = new Blob([dataStr], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `promptcat_backup_${
-      new Date().toISOString().split("T")[0]
-    }.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    }));
   }
 
   async function handleResetAllData() {
     await DB.clear(DB.STORES.PROMPTS);
     await DB.clear(DB.STORES.FOLDERS);
     await DB.clear(DB.STORES.TAGS);
+    await DB.clear(DB.STORES.REVISIONS);
+    await DB.clear(DB.STORES.SEARCH_INDEX);
+    await DB.clear(DB.STORES.TRASH);
+    await DB.clear(DB.STORES.DRAFTS);
+    if (state.vaultEnabled) await DB.clear(DB.STORES.SETTINGS);
     location.reload();
   }
 
@@ -2554,7 +7734,7 @@ document.addEventListener("DOMContentLoaded", () => {
     }
     const allTags = [
       ...new Set([
-        ...state.prompts.flatMap((p) => p.tags || []),
+        ...state.prompts.flatMap((p) => getPromptMeta(p).tags),
         ...state.globalTags,
       ]),
     ];
@@ -2603,10 +7783,298 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  function handleCopyPrompt() {
+  const TEMPLATE_VARIABLE_REGEX =
+    /\{\{\s*([^{}|>\s][^{}|]*?)\s*(?:\|([^{}]*))?\}\}/g;
+
+  function extractTemplateVariables(text) {
+    const variables = new Map();
+    for (const match of (text || "").matchAll(TEMPLATE_VARIABLE_REGEX)) {
+      const [, name, defaultValue] = match;
+      if (!variables.has(name)) {
+        variables.set(name, defaultValue ?? "");
+      } else if (!variables.get(name) && defaultValue) {
+        variables.set(name, defaultValue);
+      }
+    }
+    return Array.from(variables, ([name, defaultValue]) => ({
+      name,
+      defaultValue,
+    }));
+  }
+
+  function fillTemplateVariables(text, values) {
+    return text.replace(TEMPLATE_VARIABLE_REGEX, (match, name, defaultValue) =>
+      values[name] !== undefined ? values[name] : defaultValue ?? ""
+    );
+  }
+
+  // Includes: `{{> Title}}` stands for the current body of the prompt with
+  // that title, and is expanded when copying. Included prompts can include
+  // others; a prompt that ends up including itself is reported as a cycle.
+  const INCLUDE_REGEX = /\{\{>\s*([^{}]+?)\s*\}\}/g;
+
+  function extractIncludeTitles(text) {
+    const titles = Array.from((text || "").matchAll(INCLUDE_REGEX), (m) =>
+      m[1].toLowerCase()
+    );
+    return [...new Set(titles)];
+  }
+
+  // Hidden titles only match once their lock has been opened.
+  function findIncludedPrompts(title) {
+    const wanted = title.toLowerCase();
+    return state.prompts.filter(
+      (p) => (getPromptMeta(p).title || "").trim().toLowerCase() === wanted
+    );
+  }
+
+  // Resolves with the body of an included prompt, asking for its password if
+  // it is locked, null if that was cancelled, or undefined if the body doesn't
+  // decrypt.
+  async function getIncludedBody(prompt) {
+    const key = getLockKey(prompt);
+    if (!key) return prompt.body || "";
+    if (state.decryptedCache[prompt.id]) {
+      return state.decryptedCache[prompt.id].body;
+    }
+    let password = getKnownPassword(prompt);
+    if (!password) {
+      const folder = key.startsWith("folder-")
+        ? state.folders.find((f) => f.id === prompt.folderId)
+        : null;
+      const item = folder || prompt;
+      const result = await ModalService.password(
+        `"${escapeHTML(
+          getPromptDisplayTitle(prompt)
+        )}" is included in this prompt and is locked. Enter the password for ${
+          folder ? `folder "${escapeHTML(folder.name)}"` : "it"
+        } to expand it.`,
+        {
+          validate: async (pwd) => {
+            if (!pwd) return false;
+            const check = await CryptoService.decrypt(item.passwordCheck, pwd);
+            return check === String(item.id);
+          },
+        }
+      );
+      if (!result) return null;
+      password = result.password;
+      if (result.remember) state.sessionPasswords[key] = password;
+      upgradeLockEncryption(folder ? { folder } : { prompt }, password);
+    }
+    return (await CryptoService.decrypt(prompt.body, password)) ?? undefined;
+  }
+
+  // Without asking for passwords: resolves undefined for a locked prompt whose
+  // password isn't known, so its reference is left as written.
+  async function getKnownIncludedBody(prompt) {
+    if (!getLockKey(prompt)) return prompt.body || "";
+    if (state.decryptedCache[prompt.id]) {
+      return state.decryptedCache[prompt.id].body;
+    }
+    const password = getKnownPassword(prompt);
+    if (!password) return undefined;
+    return (await CryptoService.decrypt(prompt.body, password)) ?? undefined;
+  }
+
+  // Resolves with the expanded text, or null if a password was cancelled.
+  // Throws when the includes form a cycle. Each included body is fetched
+  // once, so a prompt used more than once asks for its password only once.
+  // References that match no prompt or several, or whose body can't be read,
+  // are left as written and added to `problems` (title -> "missing" |
+  // "ambiguous" | "unreadable").
+  async function expandIncludes(
+    text,
+    promptId,
+    getBody = getIncludedBody,
+    problems = new Map()
+  ) {
+    const bodies = new Map();
+    const expand = async (text, chain) => {
+      let expanded = "";
+      let lastIndex = 0;
+      for (const match of text.matchAll(INCLUDE_REGEX)) {
+        const matches = findIncludedPrompts(match[1]);
+        const prompt = matches.length === 1 ? matches[0] : null;
+        let replacement = match[0];
+        if (!prompt) {
+          problems.set(match[1], matches.length ? "ambiguous" : "missing");
+        } else {
+          if (chain.includes(prompt.id)) {
+            const titles = [...chain, prompt.id].map((id) =>
+              getPromptDisplayTitle(state.prompts.find((p) => p.id === id))
+            );
+            throw new Error(titles.join(" → "));
+          }
+          if (!bodies.has(prompt.id)) {
+            bodies.set(prompt.id, await getBody(prompt));
+          }
+          const body = bodies.get(prompt.id);
+          if (body === null) return null;
+          if (body === undefined) {
+            problems.set(match[1], "unreadable");
+          } else {
+            replacement = await expand(body, [...chain, prompt.id]);
+            if (replacement === null) return null;
+          }
+        }
+        expanded += text.slice(lastIndex, match.index) + replacement;
+        lastIndex = match.index + match[0].length;
+      }
+      return expanded + text.slice(lastIndex);
+    };
+    return expand(text, promptId ? [promptId] : []);
+  }
+
+  function getIncludeProblemsHTML(problems) {
+    const lines = [...problems].map(
+      ([title, problem]) =>
+        `&nbsp;&nbsp;• ${escapeHTML(`{{> ${title}}}`)}: ${
+          {
+            ambiguous: "several prompts have this title",
+            missing: "no prompt has this title",
+            unreadable: "the prompt could not be decrypted",
+          }[problem]
+        }`
+    );
+    if ([...problems.values()].includes("missing")) {
+      lines.push(
+        "Prompts whose titles are hidden by their lock can only be included once it is unlocked."
+      );
+    }
+    return lines.join("<br>");
+  }
+
+  // Resolves with the expanded text, or null if it was cancelled. Before
+  // copying, references that can't be expanded are reported; the preview
+  // passes `problems` to show them itself.
+  async function resolveIncludes(promptId, text, problems = null) {
+    const found = problems || new Map();
+    let expanded;
+    try {
+      expanded = await expandIncludes(text, promptId, getIncludedBody, found);
+    } catch (err) {
+      await ModalService.alert(
+        `These prompts include each other, so they can't be expanded:<br>${escapeHTML(
+          err.message
+        )}`,
+        "Include Cycle"
+      );
+      return null;
+    }
+    if (expanded === null || problems || found.size === 0) return expanded;
+    const confirmed = await ModalService.confirm(
+      `These includes can't be expanded and will be copied as written:<br>${getIncludeProblemsHTML(
+        found
+      )}`,
+      { title: "Unresolved Includes", confirmBtnText: "Copy Anyway" }
+    );
+    return confirmed ? expanded : null;
+  }
+
+  // Prompts whose body includes the given one. Locked bodies are only
+  // searched once they have been decrypted.
+  function getIncludingPrompts(prompt) {
+    const title = (getPromptMeta(prompt).title || "").trim().toLowerCase();
+    if (!title) return [];
+    return state.prompts.filter((p) => {
+      if (p.id === prompt.id) return false;
+      const body = getLockKey(p) ? state.decryptedCache[p.id]?.body : p.body;
+      return extractIncludeTitles(body).includes(title);
+    });
+  }
+
+  function renderIncludeUsage(prompt) {
+    const users = prompt ? getIncludingPrompts(prompt) : [];
+    UI.promptUsedBy.style.display = users.length ? "" : "none";
+    UI.promptUsedByList.innerHTML = users
+      .map(
+        (p) =>
+          `<li><button type="button" class="used-by-link" data-id="${
+            p.id
+          }">${escapeHTML(getPromptDisplayTitle(p))}</button></li>`
+      )
+      .join("");
+  }
+
+  async function handleUsedByClick(e) {
+    const link = e.target.closest(".used-by-link");
+    if (!link) return;
+    if (!(await confirmLeaveEditor())) return;
+    openPromptDetailsView(false, Number(link.dataset.id));
+  }
+
+  async function handlePreviewIncludes() {
+    const problems = new Map();
+    const expanded = await resolveIncludes(
+      state.currentPromptId,
+      UI.promptBody.value,
+      problems
+    );
+    if (expanded === null) return;
+    UI.includePreviewText.textContent = expanded;
+    UI.includePreviewProblems.innerHTML = problems.size
+      ? `Left as written:<br>${getIncludeProblemsHTML(problems)}`
+      : "";
+    UI.includePreviewProblems.style.display = problems.size ? "" : "none";
+    showModal(UI.includePreviewModal);
+  }
+
+  // Asks for template variable values before copying. Resolves with the text
+  // to copy, or null if the user cancelled the form.
+  async function resolveTemplateForCopy(promptId, text) {
+    const variables = extractTemplateVariables(text);
+    if (variables.length === 0) return text;
+
+    const saved = state.templateValues[promptId] || {};
+    const values = await ModalService.form(
+      variables.map((v) => ({
+        name: v.name,
+        label: v.name,
+        value: saved[v.name] ?? v.defaultValue,
+        placeholder: v.defaultValue,
+      })),
+      { title: "Fill In Variables", confirmBtnText: "Copy" }
+    );
+    if (!values) return null;
+
+    if (promptId) {
+      state.templateValues[promptId] = values;
+      await saveTemplateValues();
+    }
+    return fillTemplateVariables(text, values);
+  }
+
+  // Values entered for locked prompts stay in memory for the session only.
+  async function saveTemplateValues() {
+    const persistable = {};
+    Object.entries(state.templateValues).forEach(([promptId, values]) => {
+      const prompt = state.prompts.find((p) => p.id === Number(promptId));
+      if (!prompt) return;
+      const folder = state.folders.find((f) => f.id === prompt.folderId);
+      if (prompt.isLocked || (folder && folder.isLocked)) return;
+      persistable[promptId] = values;
+    });
+    await DB.put(DB.STORES.SETTINGS, {
+      key: "templateValues",
+      value: persistable,
+    });
+  }
+
+  async function handleCopyPrompt() {
     if (navigator.clipboard) {
+      const expanded = await resolveIncludes(
+        state.currentPromptId,
+        UI.promptBody.value
+      );
+      if (expanded === null) return;
+      const textToCopy = await resolveTemplateForCopy(
+        state.currentPromptId,
+        expanded
+      );
+      if (textToCopy === null) return;
       navigator.clipboard
-        .writeText(UI.promptBody.value)
+        .writeText(textToCopy)
         .then(() => {
           if (state.copyTimeout) clearTimeout(state.copyTimeout);
           UI.copyPromptBtn.classList.add("copied");
@@ -2650,17 +8118,39 @@ document.addEventListener("DOMContentLoaded", () => {
       }
       folder.isLocked = false;
       folder.passwordCheck = null;
+      delete folder.hideMetadata;
       const promptsToUpdate = state.prompts.filter(
         (p) => p.folderId === folder.id
       );
-      for (const p of promptsToUpdate) {
-        p.body = await CryptoService.decrypt(p.body, password);
-        p.notes = await CryptoService.decrypt(p.notes, password);
+      const decrypted = await cryptRecords(
+        "decrypt",
+        promptsToUpdate,
+        password
+      );
+      for (const [i, p] of promptsToUpdate.entries()) {
+        Object.assign(p, decrypted[i]);
+        await showRecordMeta(p, password);
+        delete state.decryptedMeta[p.id];
       }
       await DB.bulkPut(DB.STORES.PROMPTS, promptsToUpdate);
+      await reencryptRevisions(
+        promptsToUpdate.map((p) => p.id),
+        password,
+        null
+      );
       await DB.put(DB.STORES.FOLDERS, folder);
+      await updateSearchIndex(promptsToUpdate);
     } else {
       // Lock
+      if (getChildFolders(folder.id).length > 0) {
+        await ModalService.alert(
+          `"${escapeHTML(
+            folder.name
+          )}" has subfolders. Move them out of it before locking it.`,
+          "Cannot Lock Folder"
+        );
+        return;
+      }
       const password = await ModalService.password(
         `Set a password for "${folder.name}"`
       );
@@ -2673,16 +8163,288 @@ document.addEventListener("DOMContentLoaded", () => {
       const promptsToUpdate = state.prompts.filter(
         (p) => p.folderId === folder.id
       );
-      for (const p of promptsToUpdate) {
-        p.body = await CryptoService.encrypt(p.body, password);
-        p.notes = await CryptoService.encrypt(p.notes, password);
-      }
+      const encrypted = await cryptRecords(
+        "encrypt",
+        promptsToUpdate,
+        password
+      );
+      promptsToUpdate.forEach((p, i) => Object.assign(p, encrypted[i]));
       await DB.bulkPut(DB.STORES.PROMPTS, promptsToUpdate);
+      await reencryptRevisions(
+        promptsToUpdate.map((p) => p.id),
+        null,
+        password
+      );
       await DB.put(DB.STORES.FOLDERS, folder);
+      await updateSearchIndex(promptsToUpdate);
     }
     updateUI();
   }
 
+  async function askNewPassword(title) {
+    const values = await ModalService.form(
+      [
+        { name: "password", label: "New password", type: "password" },
+        { name: "confirm", label: "Confirm new password", type: "password" },
+      ],
+      { title, confirmBtnText: "Change Password" }
+    );
+    if (!values) return null;
+    if (!values.password || values.password !== values.confirm) {
+      await ModalService.alert(
+        values.password
+          ? "The passwords do not match."
+          : "Please enter a password.",
+        title
+      );
+      return null;
+    }
+    return values.password;
+  }
+
+  // Re-encrypts a locked folder's or prompt's content, revisions and password
+  // check with a new password. Everything is prepared first and saved in one
+  // transaction, so a failure leaves all of it under the old password.
+  async function changeLockPassword(
+    { folder, prompt },
+    oldPassword,
+    newPassword,
+    hideMetadata = !!(folder || prompt).hideMetadata
+  ) {
+    const checkEncrypted = (text, encrypted) => {
+      if (text && typeof encrypted !== "object") {
+        throw new Error("Encryption failed");
+      }
+      return encrypted;
+    };
+    const encrypt = async (text) =>
+      checkEncrypted(text, await CryptoService.encrypt(text, newPassword));
+    const lockedItem = folder || prompt;
+    const prompts = folder
+      ? state.prompts.filter((p) => p.folderId === folder.id)
+      : [prompt];
+    const originals = prompts.map((p) => ({ body: p.body, notes: p.notes }));
+    const originalCheck = lockedItem.passwordCheck;
+    // Title and tags are re-hidden (or revealed) along with the content.
+    const rewrapMeta = async (record) => {
+      const copy = { ...record };
+      if (!(await showRecordMeta(copy, oldPassword))) return null;
+      if (hideMetadata) await hideRecordMeta(copy, newPassword);
+      return copy;
+    };
+
+    const revisions = [];
+    for (const p of prompts) {
+      revisions.push(
+        ...(await DB.getAllByIndex(DB.STORES.REVISIONS, "promptId", p.id))
+      );
+    }
+    const decryptedPrompts = await cryptRecords(
+      "decrypt",
+      prompts,
+      oldPassword
+    );
+    const decryptedRevisions = await cryptRecords(
+      "decrypt",
+      revisions,
+      oldPassword
+    );
+
+    const updatedPrompts = [];
+    for (const [i, p] of prompts.entries()) {
+      const { body, notes } = decryptedPrompts[i];
+      const updated = body !== null && notes !== null && (await rewrapMeta(p));
+      if (!updated) {
+        throw new Error(`Could not decrypt "${getPromptDisplayTitle(p)}"`);
+      }
+      updatedPrompts.push({ ...updated, body, notes });
+    }
+    const updatedRevisions = [];
+    for (const [i, revision] of revisions.entries()) {
+      const { body, notes } = decryptedRevisions[i];
+      const updated =
+        body !== null && notes !== null && (await rewrapMeta(revision));
+      if (!updated) {
+        const owner = prompts.find((p) => p.id === revision.promptId);
+        throw new Error(
+          `Could not decrypt a revision of "${getPromptDisplayTitle(owner)}"`
+        );
+      }
+      updatedRevisions.push({ ...updated, body, notes });
+    }
+    const updatedRecords = [...updatedPrompts, ...updatedRevisions];
+    const encrypted = await cryptRecords(
+      "encrypt",
+      updatedRecords,
+      newPassword
+    );
+    updatedRecords.forEach((record, i) => {
+      record.body = checkEncrypted(record.body, encrypted[i].body);
+      record.notes = checkEncrypted(record.notes, encrypted[i].notes);
+    });
+
+    const drafts = await getRewrappedDrafts(
+      prompts.map((p) => p.id),
+      oldPassword,
+      newPassword
+    );
+    const passwordCheck = await encrypt(String(lockedItem.id));
+    // Give up rather than overwrite anything saved in the meantime.
+    const hasChanged =
+      lockedItem.passwordCheck !== originalCheck ||
+      prompts.some(
+        (p, i) => p.body !== originals[i].body || p.notes !== originals[i].notes
+      );
+    if (hasChanged) throw new Error("The data changed while re-encrypting");
+    const updates = {
+      [DB.STORES.PROMPTS]: updatedPrompts,
+      [DB.STORES.REVISIONS]: updatedRevisions,
+      [DB.STORES.DRAFTS]: drafts,
+    };
+    if (folder) {
+      updates[DB.STORES.FOLDERS] = [{ ...folder, passwordCheck, hideMetadata }];
+    } else {
+      updatedPrompts[0].passwordCheck = passwordCheck;
+      updatedPrompts[0].hideMetadata = hideMetadata;
+    }
+    await DB.bulkPutStores(updates);
+
+    updatedPrompts.forEach((updated) => {
+      const current = state.prompts.find((p) => p.id === updated.id);
+      if (!updated.meta) {
+        delete current.meta;
+        delete state.decryptedMeta[updated.id];
+      }
+      Object.assign(current, updated);
+    });
+    if (folder) Object.assign(folder, { passwordCheck, hideMetadata });
+
+    const key = folder ? `folder-${folder.id}` : `prompt-${prompt.id}`;
+    if (state.sessionPasswords[key]) state.sessionPasswords[key] = newPassword;
+    if (state.currentPromptLockInfo?.key === key) {
+      state.currentPromptLockInfo.password = newPassword;
+    }
+  }
+
+  // Re-wraps a lock's data with the current encryption settings, in the
+  // background, once its password has been entered again.
+  function upgradeLockEncryption(lock, password) {
+    const lockedItem = lock.folder || lock.prompt;
+    const prompts = lock.folder
+      ? state.prompts.filter((p) => p.folderId === lock.folder.id)
+      : [lock.prompt];
+    const isOutdated = [
+      lockedItem.passwordCheck,
+      ...prompts.flatMap((p) => [p.body, p.notes, p.meta]),
+    ].some((data) => CryptoService.needsUpgrade(data));
+    if (!isOutdated) return;
+    takeWriteTurn(() => changeLockPassword(lock, password, password)).catch(
+      (e) => console.error("Could not upgrade the encryption", e)
+    );
+  }
+
+  async function handleChangePassword(lock) {
+    const lockedItem = lock.folder || lock.prompt;
+    const name = lock.folder
+      ? lock.folder.name
+      : getPromptDisplayTitle(lock.prompt);
+    const title = "Change Password";
+    const result = await ModalService.password(
+      `Enter the current password for "${escapeHTML(name)}".`,
+      {
+        title,
+        rememberOption: false,
+        validate: async (password) =>
+          (await CryptoService.decrypt(lockedItem.passwordCheck, password)) ===
+          String(lockedItem.id),
+      }
+    );
+    if (!result) return;
+    const newPassword = await askNewPassword(title);
+    if (!newPassword) return;
+
+    try {
+      await changeLockPassword(lock, result.password, newPassword);
+    } catch (e) {
+      console.error(e);
+      await ModalService.alert(
+        "The password could not be changed. Nothing was modified.",
+        "Error"
+      );
+      return;
+    }
+    await ModalService.alert("The password has been changed.", title);
+  }
+
+  async function handleChangeFolderPassword() {
+    const folder = state.folders.find((f) => f.id === state.folderToEditId);
+    if (!folder || !folder.isLocked) return;
+    hideModal(UI.folderSettingsModal);
+    await handleChangePassword({ folder });
+  }
+
+  async function handleChangePromptPassword() {
+    const prompt = state.prompts.find((p) => p.id === state.currentPromptId);
+    if (!prompt || !prompt.isLocked) return;
+    await handleChangePassword({ prompt });
+  }
+
+  async function setLockHidesMetadata(lock, password, hideMetadata) {
+    try {
+      await changeLockPassword(lock, password, password, hideMetadata);
+    } catch (e) {
+      console.error("Could not update the hidden metadata", e);
+      await ModalService.alert(`Could not update the prompts: ${e.message}`);
+      return false;
+    }
+    const prompts = lock.folder
+      ? state.prompts.filter((p) => p.folderId === lock.folder.id)
+      : [lock.prompt];
+    await revealPromptMeta(prompts);
+    await updateSearchIndex(prompts);
+    renderPrompts();
+    renderSidebarTags();
+    return true;
+  }
+
+  async function handleFolderHideMetaToggle(e) {
+    const folder = state.folders.find((f) => f.id === state.folderToEditId);
+    if (!folder || !folder.isLocked) return;
+    const hideMetadata = e.target.checked;
+    let password = state.sessionPasswords[`folder-${folder.id}`];
+    if (!password) {
+      hideModal(UI.folderSettingsModal);
+      const result = await ModalService.password(
+        `Enter password for "${escapeHTML(folder.name)}"`,
+        {
+          rememberOption: false,
+          validate: async (pw) =>
+            (await CryptoService.decrypt(folder.passwordCheck, pw)) ===
+            String(folder.id),
+        }
+      );
+      password = result?.password;
+    }
+    if (
+      !password ||
+      !(await setLockHidesMetadata({ folder }, password, hideMetadata))
+    ) {
+      e.target.checked = !hideMetadata;
+    }
+  }
+
+  async function handlePromptHideMetaToggle(e) {
+    const prompt = state.prompts.find((p) => p.id === state.currentPromptId);
+    const password = prompt && prompt.isLocked && getKnownPassword(prompt);
+    const hideMetadata = e.target.checked;
+    if (
+      !password ||
+      !(await setLockHidesMetadata({ prompt }, password, hideMetadata))
+    ) {
+      e.target.checked = !hideMetadata;
+    }
+  }
+
   async function handlePromptLockToggle(e) {
     const isChecked = e.target.checked;
     const currentState = getPromptDetailsState();
@@ -2730,6 +8492,9 @@ document.addEventListener("DOMContentLoaded", () => {
         );
         // Don't automatically store in session - only store if user chooses "remember"
         await DB.put(DB.STORES.PROMPTS, prompt);
+        await reencryptRevisions([prompt.id], null, password);
+        await updateSearchIndex([prompt]);
+        state.currentPromptLockInfo = { key: `prompt-${prompt.id}`, password };
       } else {
         e.target.checked = false;
       }
@@ -2745,9 +8510,15 @@ document.addEventListener("DOMContentLoaded", () => {
           prompt.isLocked = false;
           prompt.body = await CryptoService.decrypt(prompt.body, password);
           prompt.notes = await CryptoService.decrypt(prompt.notes, password);
+          await showRecordMeta(prompt, password);
           delete prompt.passwordCheck;
+          delete prompt.hideMetadata;
+          delete state.decryptedMeta[prompt.id];
           // Don't automatically store in session - only store if user chooses "remember"
           await DB.put(DB.STORES.PROMPTS, prompt);
+          await reencryptRevisions([prompt.id], password, null);
+          await updateSearchIndex([prompt]);
+          state.currentPromptLockInfo = null;
           // Update the UI with decrypted content
           UI.promptBody.value = await CryptoService.decrypt(
             prompt.body,
@@ -2766,6 +8537,9 @@ document.addEventListener("DOMContentLoaded", () => {
         e.target.checked = true;
       }
     }
+    UI.changePromptPasswordBtn.style.display = prompt.isLocked ? "" : "none";
+    UI.promptHideMetaContainer.style.display = prompt.isLocked ? "" : "none";
+    UI.promptHideMetaSwitch.checked = !!prompt.hideMetadata;
     // Only update the prompt list, not the entire UI
     renderPrompts();
     UI.promptList.scrollTop = scrollPosition;